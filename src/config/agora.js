@@ -1,7 +1,52 @@
 // src/config/agora.js
+
+// Read a per-call-type expiry (seconds) from env, falling back to the default
+const expiryFromEnv = (name, fallback) => parseInt(process.env[name]) || fallback;
+
 module.exports = {
   appId: process.env.AGORA_APP_ID,
   appCertificate: process.env.AGORA_APP_CERTIFICATE,
   tokenExpirationTime: 3600, 
   privilegeExpirationTime: 3600,
-};
\ No newline at end of file
+  // Token / privilege expiry per call type (seconds); clients renew via /refresh-token
+  callTypeExpiration: {
+    admin_to_user: {
+      tokenExpirationTime: expiryFromEnv('AGORA_ADMIN_CALL_TOKEN_EXPIRY', 7200),
+      privilegeExpirationTime: expiryFromEnv('AGORA_ADMIN_CALL_PRIVILEGE_EXPIRY', 7200),
+    },
+    user_to_user: {
+      tokenExpirationTime: expiryFromEnv('AGORA_USER_CALL_TOKEN_EXPIRY', 3600),
+      privilegeExpirationTime: expiryFromEnv('AGORA_USER_CALL_PRIVILEGE_EXPIRY', 3600),
+    },
+    group: {
+      tokenExpirationTime: expiryFromEnv('AGORA_GROUP_CALL_TOKEN_EXPIRY', 3600),
+      privilegeExpirationTime: expiryFromEnv('AGORA_GROUP_CALL_PRIVILEGE_EXPIRY', 3600),
+    },
+  },
+  // Seconds a call may stay initiated/ringing before it is marked missed
+  ringTimeout: parseInt(process.env.CALL_RING_TIMEOUT_SECONDS) || 45,
+  // Seconds a queued call may wait for a busy receiver before it is marked missed
+  queueTimeout: parseInt(process.env.CALL_QUEUE_TIMEOUT_SECONDS) || 300,
+  // Maximum people (host included) in a group audio room
+  groupMaxParticipants: parseInt(process.env.GROUP_CALL_MAX_PARTICIPANTS) || 8,
+  // Cloud Recording (admin_to_user calls)
+  recording: {
+    baseUrl: process.env.AGORA_RECORDING_API_URL || 'https://api.agora.io/v1/apps',
+    customerId: process.env.AGORA_CUSTOMER_ID,
+    customerSecret: process.env.AGORA_CUSTOMER_SECRET,
+    // Recorder joins the channel with this uid; must not collide with user agoraUids
+    uid: process.env.AGORA_RECORDING_UID || '2000000001',
+    mode: 'mix',
+    maxIdleTime: 30,
+    storage: {
+      vendor: parseInt(process.env.AGORA_RECORDING_STORAGE_VENDOR) || 1, // 1 = Amazon S3
+      region: parseInt(process.env.AGORA_RECORDING_STORAGE_REGION) || 0,
+      bucket: process.env.AGORA_RECORDING_BUCKET,
+      accessKey: process.env.AGORA_RECORDING_ACCESS_KEY,
+      secretKey: process.env.AGORA_RECORDING_SECRET_KEY,
+      fileNamePrefix: ['recordings'],
+    },
+    // Public URL the stored files are served from
+    fileBaseUrl: process.env.AGORA_RECORDING_FILE_BASE_URL,
+  },
+};
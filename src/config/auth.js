@@ -0,0 +1,112 @@
+// src/config/auth.js
+
+// Comma-separated env list → array
+const listFromEnv = (name, fallback = []) => process.env[name]
+  ? process.env[name].split(',').map(v => v.trim()).filter(Boolean)
+  : fallback;
+
+// Claim paths (dot notation, `|` for fallbacks) → User fields, overridable with EXTERNAL_JWT_CLAIMS (JSON)
+const defaultClaimMap = {
+  subject: 'sub|userData.id',
+  email: 'userData.email|email',
+  userName: 'userData.userName|preferred_username',
+  name: 'userData.name|name',
+  phone: 'userData.mobile|userData.phone|phone_number',
+  avatar: 'userData.profileImage|picture',
+  role: 'userData.role|role',
+  emailVerified: 'userData.is_email_verified|email_verified',
+  phoneVerified: 'userData.is_mobile_verified|phone_number_verified',
+  // Authentication methods; 'mfa'/'otp' means the upstream login passed a second factor
+  amr: 'amr'
+};
+
+module.exports = {
+  // Short-lived access JWT; clients renew it with their refresh token
+  accessTokenExpire: process.env.JWT_ACCESS_EXPIRE || '15m',
+  // Rotating refresh tokens, stored hashed server-side
+  refreshTokenExpireDays: parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30,
+  // A just-rotated refresh token still returns its successor this long (concurrent refreshes)
+  refreshReuseGraceSeconds: parseInt(process.env.REFRESH_REUSE_GRACE_SECONDS) || 10,
+  // One-time codes (password reset, verification)
+  otp: {
+    length: 6,
+    expiryMinutes: parseInt(process.env.OTP_EXPIRY_MINUTES) || 10,
+    // Wrong guesses allowed per code before it is burned
+    maxAttempts: parseInt(process.env.OTP_MAX_ATTEMPTS) || 5,
+    // Codes a user may request per purpose per hour, and the gap between two requests
+    maxRequestsPerHour: parseInt(process.env.OTP_MAX_REQUESTS_PER_HOUR) || 5,
+    resendCooldownSeconds: parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 60
+  },
+  // Contact verification gates (`requireVerified`)
+  verification: {
+    // When verification went live (unset: no account is grandfathered). Accounts created
+    // before it keep access for `graceDays` after it, or until they verify if that is sooner
+    requiredSince: process.env.VERIFICATION_REQUIRED_SINCE ? new Date(process.env.VERIFICATION_REQUIRED_SINCE) : null,
+    graceDays: parseInt(process.env.VERIFICATION_GRACE_DAYS) || 30
+  },
+  // TOTP two-factor authentication
+  twoFactor: {
+    issuer: process.env.TOTP_ISSUER || 'Flexy Markets',
+    digits: 6,
+    period: 30,
+    // Accepted clock drift, in 30-second steps either side
+    window: 1,
+    backupCodeCount: 10,
+    // Lifetime of the token that links the password step to the code step
+    challengeExpire: '5m',
+    // Roles that may not use their privileges without 2FA (every staff role)
+    mandatoryRoles: ['ADMIN', 'MODERATOR', 'SUPPORT', 'ANALYST']
+  },
+  // Brute-force protection on login (counters per account and per IP)
+  loginProtection: {
+    windowMinutes: parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15,
+    maxAccountFailures: parseInt(process.env.LOGIN_MAX_ACCOUNT_FAILURES) || 5,
+    maxIpFailures: parseInt(process.env.LOGIN_MAX_IP_FAILURES) || 20,
+    // First lockout length; each further lockout of the same key doubles it, up to the max
+    lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+    maxLockoutMinutes: 24 * 60,
+    // Failed responses are slowed down by delayStepMs per failure, up to maxDelayMs
+    delayStepMs: 500,
+    maxDelayMs: 5000
+  },
+  // Suspicious login detection
+  loginRisk: {
+    // Faster than a commercial flight between two consecutive logins = impossible travel
+    impossibleTravelSpeedKmh: parseInt(process.env.LOGIN_RISK_MAX_SPEED_KMH) || 900,
+    // Ignore short hops (IP geolocation is only city-accurate)
+    minTravelDistanceKm: 500,
+    scores: {
+      new_device: 30,
+      new_country: 40,
+      impossible_travel: 60
+    },
+    // Score thresholds per level
+    levels: {
+      high: 60,
+      medium: 30
+    }
+  },
+  // Upstream identity provider whose tokens `protect` accepts (users are auto-registered / synced)
+  externalIssuer: {
+    issuer: process.env.EXTERNAL_JWT_ISSUER,
+    audience: process.env.EXTERNAL_JWT_AUDIENCE,
+    algorithms: listFromEnv('EXTERNAL_JWT_ALGORITHMS', ['RS256']),
+    // One of: JWKS endpoint, PEM public key, or shared secret (HS* algorithms)
+    jwksUri: process.env.EXTERNAL_JWT_JWKS_URI,
+    publicKey: process.env.EXTERNAL_JWT_PUBLIC_KEY && process.env.EXTERNAL_JWT_PUBLIC_KEY.replace(/\\n/g, '\n'),
+    secret: process.env.EXTERNAL_JWT_SECRET,
+    jwksCacheMinutes: parseInt(process.env.EXTERNAL_JWT_JWKS_CACHE_MINUTES) || 60,
+    claims: {
+      ...defaultClaimMap,
+      ...(process.env.EXTERNAL_JWT_CLAIMS ? JSON.parse(process.env.EXTERNAL_JWT_CLAIMS) : {})
+    },
+    // Role claims are ignored unless listed here (e.g. EXTERNAL_JWT_TRUSTED_ROLES=ADMIN)
+    trustedRoles: listFromEnv('EXTERNAL_JWT_TRUSTED_ROLES').map(role => role.toUpperCase())
+  },
+  // Outgoing email/SMS: 'console' logs messages instead of sending them (local development)
+  messaging: {
+    transport: process.env.MESSAGE_TRANSPORT || 'console',
+    // Console mode is honored with NODE_ENV=development only; anywhere else an adapter is required
+    consoleAllowed: process.env.NODE_ENV === 'development'
+  }
+};
@@ -0,0 +1,45 @@
+// src/config/feed.js
+
+// Read a number from env, falling back to the default
+const numberFromEnv = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+module.exports = {
+  // "For You" ranking (precomputed by FeedRankingScheduler)
+  ranking: {
+    // Only posts this recent are scored and ranked
+    lookbackDays: numberFromEnv('FEED_RANKING_LOOKBACK_DAYS', 7),
+    // A post's score halves every this many hours
+    recencyHalfLifeHours: numberFromEnv('FEED_RECENCY_HALF_LIFE_HOURS', 24),
+    // Engagement weights (applied to log1p of each count)
+    weights: {
+      likes: 1,
+      comments: 1.5,
+      shares: 2,
+      // Average dwell on post_detail, per log1p(seconds)
+      dwell: 0.75
+    },
+    // post_detail visits longer than this are capped (app left open)
+    maxDwellSeconds: 300,
+    // Cron for recomputing post scores
+    postScoreCron: process.env.FEED_POST_SCORE_CRON || '*/10 * * * *'
+  },
+  // Viewer → author affinity (multiplies a post's score by 1 + affinity)
+  affinity: {
+    lookbackDays: numberFromEnv('FEED_AFFINITY_LOOKBACK_DAYS', 30),
+    weights: {
+      follows: 1,
+      // Per log1p(likes the viewer gave the author's posts)
+      likes: 0.5,
+      // Per log1p(minutes the viewer spent on the author's posts)
+      dwell: 0.5
+    },
+    // Affinities kept per user (strongest first)
+    maxAuthors: 200,
+    // Users with a tracking session this recent get their affinities recomputed
+    activeUserDays: 7,
+    affinityCron: process.env.FEED_AFFINITY_CRON || '15 * * * *'
+  }
+};
@@ -0,0 +1,47 @@
+// src/config/permissions.js
+
+// Every role a user can have; staff roles get their access from permissions below
+const ROLES = ['USER', 'ADMIN', 'MODERATOR', 'SUPPORT', 'ANALYST'];
+
+// ADMIN always holds every permission (it cannot be edited, so nobody can lock the admins out)
+const SUPER_ROLE = 'ADMIN';
+
+// Named permissions checked by `authorizePermission()`
+const PERMISSIONS = {
+  'dashboard.read': 'View admin dashboard stats',
+  'posts.moderate': 'Review, approve, reject, edit and delete any post',
+  'comments.moderate': 'Edit and delete any comment',
+  'users.read': 'List and view user accounts',
+  'users.manage': 'Activate, deactivate and delete user accounts',
+  'users.roles': 'Change user roles',
+  'calls.initiate': 'Place admin calls to users',
+  'calls.read': 'View any call and call analytics',
+  'notifications.send': 'Send notifications to selected users',
+  'notifications.broadcast': 'Broadcast, schedule and send notifications by role',
+  'notifications.read': 'View sent notifications, stats and device tokens',
+  'notifications.manage': 'Delete and retry notifications',
+  'tracking.read': 'View session tracking and analytics',
+  'security.read': 'View lockouts, failed and suspicious logins',
+  'security.manage': 'Clear login lockouts',
+  'roles.manage': 'Edit role permissions'
+};
+
+// Defaults until an admin overrides a role through the role-permission API
+const DEFAULT_ROLE_PERMISSIONS = {
+  USER: [],
+  MODERATOR: ['dashboard.read', 'posts.moderate', 'comments.moderate', 'users.read'],
+  SUPPORT: [
+    'dashboard.read', 'users.read', 'users.manage', 'calls.initiate', 'calls.read',
+    'notifications.send', 'security.read', 'security.manage'
+  ],
+  ANALYST: ['dashboard.read', 'users.read', 'calls.read', 'notifications.read', 'tracking.read', 'security.read']
+};
+
+module.exports = {
+  ROLES,
+  SUPER_ROLE,
+  PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  // How long resolved role permissions are cached in memory
+  cacheSeconds: parseInt(process.env.PERMISSION_CACHE_SECONDS) || 60
+};
@@ -0,0 +1,385 @@
+// src/controllers/adminCallController.js
+const mongoose = require('mongoose');
+const VoiceCall = require('../models/VoiceCall');
+
+// Helper: Build VoiceCall filters from the query string (status, callType, userId, date range)
+const buildCallFilters = (query) => {
+  const filters = {};
+
+  // One or many statuses: ?status=missed or ?status=missed&status=rejected
+  const statuses = [].concat(query.status || []);
+  if (statuses.length > 0) {
+    filters.status = { $in: statuses };
+  }
+
+  if (query.callType) filters.callType = query.callType;
+
+  // Any side of the call, including group participants
+  if (query.userId) {
+    const userId = new mongoose.Types.ObjectId(query.userId);
+    filters.$or = [
+      { caller: userId },
+      { receiver: userId },
+      { 'participants.user': userId }
+    ];
+  }
+
+  if (query.startDate || query.endDate) {
+    filters.createdAt = {};
+    if (query.startDate) {
+      filters.createdAt.$gte = new Date(query.startDate);
+    }
+    if (query.endDate) {
+      filters.createdAt.$lte = new Date(query.endDate);
+    }
+  }
+
+  return filters;
+};
+
+// Helper: Median talk time of answered calls, read from the sorted middle instead of loading every duration
+const getMedianDuration = async (filters, count) => {
+  if (count === 0) return 0;
+
+  const middle = await VoiceCall.find(filters)
+    .sort({ duration: 1 })
+    .skip(Math.floor((count - 1) / 2))
+    .limit(count % 2 === 0 ? 2 : 1)
+    .select('duration')
+    .lean();
+
+  const total = middle.reduce((sum, c) => sum + c.duration, 0);
+  return Math.round(total / middle.length);
+};
+
+// Answered calls. Only `answeredAt` tells a call was picked up: the duration of calls hung up
+// while ringing used to hold the ring time, so it can't stand in for it
+const ANSWERED_EXPR = { $ifNull: ['$answeredAt', false] };
+
+// Answered calls that have finished, so their duration is final
+const COMPLETED_MATCH = { answeredAt: { $exists: true }, status: 'ended' };
+
+const percentage = (part, total) => total > 0
+  ? Math.round((part / total) * 10000) / 100
+  : 0;
+
+/**
+ * @desc    List all voice calls across users
+ * @route   GET /api/v1/admin/calls?status=&callType=&userId=&startDate=&endDate=&page=1&limit=20
+ * @access  Private/Admin
+ */
+exports.getAllCalls = async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, parseInt(req.query.limit) || 20);
+    const skip = (page - 1) * limit;
+
+    const filters = buildCallFilters(req.query);
+
+    const [calls, total] = await Promise.all([
+      VoiceCall.find(filters)
+        .populate('caller', 'name email avatar phone role')
+        .populate('receiver', 'name email avatar phone')
+        .select('-agoraToken -recording -participants')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+
+      VoiceCall.countDocuments(filters)
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        calls,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get All Calls Error:', error);
+    res.status(500).json({ 
+      status: 'error', 
+      message: 'Failed to fetch calls' 
+    });
+  }
+};
+
+/**
+ * @desc    Call-center analytics: answer/missed rates, durations and admin leaderboard
+ * @route   GET /api/v1/admin/calls/analytics?callType=&userId=&startDate=&endDate=&leaderboardLimit=10
+ * @access  Private/Admin
+ */
+exports.getCallAnalytics = async (req, res) => {
+  try {
+    const leaderboardLimit = Math.min(50, parseInt(req.query.leaderboardLimit) || 10);
+    const filters = buildCallFilters(req.query);
+
+    const completedFilters = { $and: [filters, COMPLETED_MATCH] };
+
+    const [result] = await VoiceCall.aggregate([
+      { $match: filters },
+      {
+        $facet: {
+          totals: [
+            {
+              $group: {
+                _id: null,
+                total: { $sum: 1 },
+                answered: { $sum: { $cond: [ANSWERED_EXPR, 1, 0] } },
+                missed: { $sum: { $cond: [{ $eq: ['$status', 'missed'] }, 1, 0] } },
+                rejected: { $sum: { $cond: [{ $eq: ['$status', 'rejected'] }, 1, 0] } },
+                busy: { $sum: { $cond: [{ $eq: ['$status', 'busy'] }, 1, 0] } }
+              }
+            }
+          ],
+          byStatus: [
+            { $group: { _id: '$status', count: { $sum: 1 } } },
+            { $project: { _id: 0, status: '$_id', count: 1 } },
+            { $sort: { count: -1 } }
+          ],
+          byCallType: [
+            { $group: { _id: '$callType', count: { $sum: 1 } } },
+            { $project: { _id: 0, callType: '$_id', count: 1 } },
+            { $sort: { count: -1 } }
+          ],
+          duration: [
+            { $match: COMPLETED_MATCH },
+            {
+              $group: {
+                _id: null,
+                completed: { $sum: 1 },
+                avgDuration: { $avg: '$duration' },
+                totalDuration: { $sum: '$duration' }
+              }
+            }
+          ]
+        }
+      }
+    ]);
+
+    const totals = result.totals[0] || { total: 0, answered: 0, missed: 0, rejected: 0, busy: 0 };
+    const duration = result.duration[0] || { completed: 0, avgDuration: 0, totalDuration: 0 };
+
+    const medianDuration = await getMedianDuration(completedFilters, duration.completed);
+
+    // Leaderboard: admins ranked by answered admin_to_user calls, then talk time
+    const leaderboard = req.query.callType && req.query.callType !== 'admin_to_user'
+      ? []
+      : await VoiceCall.aggregate([
+        { $match: { ...filters, callType: 'admin_to_user' } },
+        {
+          $group: {
+            _id: '$caller',
+            totalCalls: { $sum: 1 },
+            answered: { $sum: { $cond: [ANSWERED_EXPR, 1, 0] } },
+            missed: { $sum: { $cond: [{ $eq: ['$status', 'missed'] }, 1, 0] } },
+            talkTime: {
+              $sum: {
+                $cond: [{ $and: [ANSWERED_EXPR, { $eq: ['$status', 'ended'] }] }, '$duration', 0]
+              }
+            },
+            lastCallAt: { $max: '$createdAt' }
+          }
+        },
+        { $sort: { answered: -1, talkTime: -1 } },
+        { $limit: leaderboardLimit },
+        {
+          $lookup: {
+            from: 'users',
+            localField: '_id',
+            foreignField: '_id',
+            as: 'admin'
+          }
+        },
+        { $unwind: { path: '$admin', preserveNullAndEmptyArrays: true } },
+        {
+          $project: {
+            _id: 0,
+            admin: {
+              id: '$_id',
+              name: '$admin.name',
+              email: '$admin.email',
+              avatar: '$admin.avatar'
+            },
+            totalCalls: 1,
+            answered: 1,
+            missed: 1,
+            talkTime: 1,
+            avgDuration: {
+              $cond: [{ $gt: ['$answered', 0] }, { $round: [{ $divide: ['$talkTime', '$answered'] }, 0] }, 0]
+            },
+            answerRate: {
+              $round: [{ $multiply: [{ $divide: ['$answered', '$totalCalls'] }, 100] }, 2]
+            },
+            lastCallAt: 1
+          }
+        }
+      ]);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        summary: {
+          totalCalls: totals.total,
+          answered: totals.answered,
+          missed: totals.missed,
+          rejected: totals.rejected,
+          busy: totals.busy,
+          answerRate: percentage(totals.answered, totals.total),
+          missedRate: percentage(totals.missed, totals.total),
+          completedCalls: duration.completed,
+          avgDuration: Math.round(duration.avgDuration || 0),
+          medianDuration,
+          totalTalkTime: duration.totalDuration
+        },
+        byStatus: result.byStatus,
+        byCallType: result.byCallType,
+        leaderboard,
+        filters: {
+          callType: req.query.callType || 'all',
+          userId: req.query.userId || null,
+          startDate: req.query.startDate || null,
+          endDate: req.query.endDate || null
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get Call Analytics Error:', error);
+    res.status(500).json({ 
+      status: 'error', 
+      message: 'Failed to fetch call analytics' 
+    });
+  }
+};
+
+/**
+ * @desc    Call quality breakdown by device OS and network type
+ * @route   GET /api/v1/admin/calls/quality?startDate=&endDate=&callType=
+ * @access  Private/Admin
+ */
+exports.getCallQualityStats = async (req, res) => {
+  try {
+    const startDate = req.query.startDate 
+      ? new Date(req.query.startDate) 
+      : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000); // Last 30 days
+    const endDate = req.query.endDate 
+      ? new Date(req.query.endDate) 
+      : new Date();
+
+    const match = {
+      createdAt: { $gte: startDate, $lte: endDate },
+      'feedback.0': { $exists: true }
+    };
+    if (req.query.callType) match.callType = req.query.callType;
+
+    const qualityMetrics = {
+      responses: { $sum: 1 },
+      avgRating: { $avg: '$feedback.rating' },
+      avgJitter: { $avg: '$feedback.networkStats.jitter' },
+      avgPacketLoss: { $avg: '$feedback.networkStats.packetLoss' },
+      avgMos: { $avg: '$feedback.networkStats.mos' },
+      avgRtt: { $avg: '$feedback.networkStats.rtt' }
+    };
+
+    const roundMetrics = {
+      _id: 0,
+      responses: 1,
+      avgRating: { $round: ['$avgRating', 2] },
+      avgJitter: { $round: ['$avgJitter', 1] },
+      avgPacketLoss: { $round: ['$avgPacketLoss', 2] },
+      avgMos: { $round: ['$avgMos', 2] },
+      avgRtt: { $round: ['$avgRtt', 0] }
+    };
+
+    const [result] = await VoiceCall.aggregate([
+      { $match: match },
+      { $unwind: '$feedback' },
+
+      // Device data from the rater's tracking session that was live when the call started
+      {
+        $lookup: {
+          from: 'usersessions',
+          let: { userId: '$feedback.user', callStart: '$startTime' },
+          pipeline: [
+            {
+              $match: {
+                $expr: {
+                  $and: [
+                    { $eq: ['$user', '$$userId'] },
+                    { $lte: ['$startTime', '$$callStart'] }
+                  ]
+                }
+              }
+            },
+            { $sort: { startTime: -1 } },
+            { $limit: 1 },
+            { $project: { 'device.os': 1, 'device.type': 1 } }
+          ],
+          as: 'session'
+        }
+      },
+      {
+        $addFields: {
+          os: { $ifNull: [{ $arrayElemAt: ['$session.device.os', 0] }, 'unknown'] },
+          networkType: { $ifNull: ['$feedback.networkType', 'unknown'] }
+        }
+      },
+      {
+        $facet: {
+          overall: [
+            { $group: { _id: null, ...qualityMetrics } },
+            { $project: roundMetrics }
+          ],
+          byOs: [
+            { $group: { _id: '$os', ...qualityMetrics } },
+            { $project: { os: '$_id', ...roundMetrics } },
+            { $sort: { responses: -1 } }
+          ],
+          byNetworkType: [
+            { $group: { _id: '$networkType', ...qualityMetrics } },
+            { $project: { networkType: '$_id', ...roundMetrics } },
+            { $sort: { responses: -1 } }
+          ],
+          byOsAndNetwork: [
+            { $group: { _id: { os: '$os', networkType: '$networkType' }, ...qualityMetrics } },
+            { $project: { os: '$_id.os', networkType: '$_id.networkType', ...roundMetrics } },
+            { $sort: { responses: -1 } }
+          ],
+          issues: [
+            { $unwind: '$feedback.issues' },
+            { $group: { _id: '$feedback.issues', count: { $sum: 1 } } },
+            { $project: { _id: 0, issue: '$_id', count: 1 } },
+            { $sort: { count: -1 } }
+          ]
+        }
+      }
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        overall: result.overall[0] || { responses: 0 },
+        byOs: result.byOs,
+        byNetworkType: result.byNetworkType,
+        byOsAndNetwork: result.byOsAndNetwork,
+        issues: result.issues,
+        dateRange: {
+          start: startDate,
+          end: endDate
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get Call Quality Stats Error:', error);
+    res.status(500).json({ 
+      status: 'error', 
+      message: 'Failed to fetch call quality stats' 
+    });
+  }
+};
@@ -2,6 +2,25 @@
 const Post = require('../models/Post');
 const User = require('../models/User');
 const Comment = require('../models/Comment');
+const socketManager = require('../socket/socketManager');
+const tokenService = require('../services/tokenService');
+const postTagService = require('../services/postTagService');
+const { ROLES, SUPER_ROLE } = require('../config/permissions');
+
+// Helper: Only admins may change the account status of another admin
+const rejectAdminTarget = async (req, res) => {
+  if (req.user.role.toUpperCase() === SUPER_ROLE) return false;
+
+  const target = await User.findById(req.params.id).select('role').lean();
+  if (target && target.role.toUpperCase() === SUPER_ROLE) {
+    res.status(403).json({
+      status: 'error',
+      message: `Only ${SUPER_ROLE} users can manage ${SUPER_ROLE} accounts`
+    });
+    return true;
+  }
+  return false;
+};
 
 /**
  * @desc    Admin: Get dashboard stats
@@ -107,6 +126,15 @@ exports.approvePost = async (req, res) => {
     post.reviewedAt = new Date();
     await post.save();
 
+    socketManager.emitToUser(post.user, socketManager.EVENTS.POST_STATUS, {
+      postId: post._id,
+      status: post.status
+    });
+
+    // Mentioned users are only told once the post is visible (in the background)
+    const author = await User.findById(post.user).select('name userName');
+    postTagService.notifyMentions(post, author);
+
     res.status(200).json({
       status: 'success',
       message: 'Post approved and now LIVE in feed!'
@@ -131,6 +159,11 @@ exports.rejectPost = async (req, res) => {
     post.reviewedAt = new Date();
     await post.save();
 
+    socketManager.emitToUser(post.user, socketManager.EVENTS.POST_STATUS, {
+      postId: post._id,
+      status: post.status
+    });
+
     res.status(200).json({
       status: 'success',
       message: 'Post rejected'
@@ -160,7 +193,7 @@ exports.getAllUsers = async (req, res) => {
     let query = {};
 
     // Filter by role
-    if (role && ['USER', 'ADMIN'].includes(role.toUpperCase())) {
+    if (role && ROLES.includes(role.toUpperCase())) {
       query.role = role.toUpperCase();
     }
 
@@ -291,6 +324,8 @@ exports.updateUserStatus = async (req, res) => {
       });
     }
 
+    if (await rejectAdminTarget(req, res)) return;
+
     const user = await User.findByIdAndUpdate(
       req.params.id,
       { isActive },
@@ -304,6 +339,11 @@ exports.updateUserStatus = async (req, res) => {
       });
     }
 
+    // Deactivation signs the user out everywhere
+    if (!user.isActive) {
+      await tokenService.revokeAllSessions(user._id, 'deactivated');
+    }
+
     res.status(200).json({
       status: 'success',
       message: `User ${isActive ? 'activated' : 'deactivated'} successfully`,
@@ -323,26 +363,22 @@ exports.updateUserRole = async (req, res) => {
   try {
     const { role } = req.body;
 
-    if (!role || !['USER', 'ADMIN'].includes(role.toUpperCase())) {
+    if (!role || !ROLES.includes(role.toUpperCase())) {
       return res.status(400).json({ 
         status: 'error', 
-        message: 'Valid role (USER or ADMIN) is required' 
+        message: `Valid role (${ROLES.join(', ')}) is required` 
       });
     }
 
-    // Prevent admin from demoting themselves
-    if (req.params.id === req.user.id && role.toUpperCase() !== 'ADMIN') {
+    // Prevent staff from changing (or escalating) their own role
+    if (req.params.id === req.user.id) {
       return res.status(403).json({ 
         status: 'error', 
         message: 'You cannot change your own role' 
       });
     }
 
-    const user = await User.findByIdAndUpdate(
-      req.params.id,
-      { role: role.toUpperCase() },
-      { new: true, runValidators: true }
-    ).select('-password');
+    const user = await User.findById(req.params.id).select('-password');
 
     if (!user) {
       return res.status(404).json({ 
@@ -351,6 +387,19 @@ exports.updateUserRole = async (req, res) => {
       });
     }
 
+    // Only admins can grant or take away the admin role
+    const touchesAdmin = [role.toUpperCase(), user.role.toUpperCase()].includes(SUPER_ROLE);
+    if (touchesAdmin && req.user.role.toUpperCase() !== SUPER_ROLE) {
+      return res.status(403).json({ 
+        status: 'error', 
+        message: `Only ${SUPER_ROLE} users can grant or revoke the ${SUPER_ROLE} role` 
+      });
+    }
+
+    user.role = role.toUpperCase();
+    await user.save({ validateBeforeSave: true });
+    socketManager.refreshAdminRoom(user._id);
+
     res.status(200).json({
       status: 'success',
       message: `User role updated to ${role.toUpperCase()}`,
@@ -376,6 +425,8 @@ exports.deleteUser = async (req, res) => {
       });
     }
 
+    if (await rejectAdminTarget(req, res)) return;
+
     const user = await User.findByIdAndUpdate(
       req.params.id,
       { isActive: false },
@@ -389,6 +440,8 @@ exports.deleteUser = async (req, res) => {
       });
     }
 
+    await tokenService.revokeAllSessions(user._id, 'deactivated');
+
     res.status(200).json({
       status: 'success',
       message: 'User deleted successfully',
@@ -0,0 +1,78 @@
+// src/controllers/adminRoleController.js
+const permissionService = require('../services/permissionService');
+const socketManager = require('../socket/socketManager');
+const { PERMISSIONS } = require('../config/permissions');
+
+/**
+ * @desc    Roles with their effective permissions, plus every known permission
+ * @route   GET /api/v1/admin/roles
+ * @access  Private (roles.manage)
+ */
+exports.getRoles = async (req, res) => {
+  try {
+    const roles = await permissionService.listRoles();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        roles,
+        permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+      }
+    });
+  } catch (error) {
+    console.error('Get Roles Error:', error);
+    res.status(500).json({ status: 'error', message: 'Server error' });
+  }
+};
+
+/**
+ * @desc    Replace a role's permissions
+ * @route   PUT /api/v1/admin/roles/:role/permissions
+ * @access  Private (roles.manage)
+ */
+exports.updateRolePermissions = async (req, res) => {
+  try {
+    const permissions = await permissionService.setRolePermissions(
+      req.params.role,
+      req.body.permissions,
+      req.user.id
+    );
+    socketManager.refreshAdminRoom();
+
+    res.status(200).json({
+      status: 'success',
+      message: `Permissions updated for ${req.params.role}`,
+      data: { role: req.params.role, permissions }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ status: 'error', message: error.message });
+    }
+    console.error('Update Role Permissions Error:', error);
+    res.status(500).json({ status: 'error', message: 'Server error' });
+  }
+};
+
+/**
+ * @desc    Reset a role to its default permissions
+ * @route   DELETE /api/v1/admin/roles/:role/permissions
+ * @access  Private (roles.manage)
+ */
+exports.resetRolePermissions = async (req, res) => {
+  try {
+    const permissions = await permissionService.resetRolePermissions(req.params.role);
+    socketManager.refreshAdminRoom();
+
+    res.status(200).json({
+      status: 'success',
+      message: `Permissions reset to defaults for ${req.params.role}`,
+      data: { role: req.params.role, permissions }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ status: 'error', message: error.message });
+    }
+    console.error('Reset Role Permissions Error:', error);
+    res.status(500).json({ status: 'error', message: 'Server error' });
+  }
+};
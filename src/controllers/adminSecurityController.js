@@ -0,0 +1,207 @@
+// src/controllers/adminSecurityController.js
+const mongoose = require('mongoose');
+const LoginHistory = require('../models/LoginHistory');
+const loginProtectionService = require('../services/loginProtectionService');
+
+/**
+ * @desc    Login lockouts (per account and per IP)
+ * @route   GET /api/v1/admin/security/lockouts?type=account|ip&active=true&search=&page=1&limit=20
+ * @access  Private/Admin
+ */
+exports.getLockouts = async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, parseInt(req.query.limit) || 20);
+
+    const { entries, total } = await loginProtectionService.listLockouts({
+      type: req.query.type,
+      activeOnly: req.query.active !== 'false',
+      search: req.query.search,
+      page,
+      limit
+    });
+
+    const now = new Date();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        lockouts: entries.map(entry => ({
+          id: entry._id,
+          type: entry.type,
+          value: entry.value,
+          user: entry.user || null,
+          isLocked: !!entry.lockedUntil && entry.lockedUntil > now,
+          lockedUntil: entry.lockedUntil || null,
+          lockCount: entry.lockCount,
+          failures: entry.failures,
+          lastFailureAt: entry.lastFailureAt || null,
+          clearedBy: entry.clearedBy || null,
+          clearedAt: entry.clearedAt || null
+        })),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get Lockouts Error:', error);
+    res.status(500).json({ 
+      status: 'error', 
+      message: 'Failed to fetch lockouts' 
+    });
+  }
+};
+
+/**
+ * @desc    Lift a lockout and reset its failure counter
+ * @route   DELETE /api/v1/admin/security/lockouts/:id
+ * @access  Private/Admin
+ */
+exports.clearLockout = async (req, res) => {
+  try {
+    const entry = await loginProtectionService.clearLockout(req.params.id, req.user.id);
+
+    if (!entry) {
+      return res.status(404).json({ 
+        status: 'error', 
+        message: 'Lockout not found' 
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: `Lockout cleared for ${entry.type} ${entry.value}`
+    });
+  } catch (error) {
+    console.error('Clear Lockout Error:', error);
+    res.status(500).json({ 
+      status: 'error', 
+      message: 'Failed to clear lockout' 
+    });
+  }
+};
+
+/**
+ * @desc    Recent failed login attempts across all users
+ * @route   GET /api/v1/admin/security/failed-logins?email=&ip=&page=1&limit=50
+ * @access  Private/Admin
+ */
+exports.getFailedLogins = async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, parseInt(req.query.limit) || 50);
+    const skip = (page - 1) * limit;
+
+    const filters = { success: false };
+    if (req.query.email) filters.email = req.query.email.toLowerCase();
+    if (req.query.ip) filters.ip = req.query.ip;
+
+    const [attempts, total] = await Promise.all([
+      LoginHistory.find(filters)
+        .populate('user', 'name email avatar')
+        .sort({ loginAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+
+      LoginHistory.countDocuments(filters)
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        attempts,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get Failed Logins Error:', error);
+    res.status(500).json({ 
+      status: 'error', 
+      message: 'Failed to fetch failed logins' 
+    });
+  }
+};
+
+/**
+ * @desc    Logins flagged by the risk engine (new device, new country, impossible travel)
+ * @route   GET /api/v1/admin/security/suspicious-logins?level=&flag=&userId=&startDate=&endDate=&page=1&limit=50
+ * @access  Private/Admin
+ */
+exports.getSuspiciousLogins = async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, parseInt(req.query.limit) || 50);
+    const skip = (page - 1) * limit;
+
+    const filters = { success: true, 'risk.flags.0': { $exists: true } };
+    if (req.query.level) filters['risk.level'] = req.query.level;
+    if (req.query.flag) filters['risk.flags'] = req.query.flag;
+    if (req.query.userId) filters.user = new mongoose.Types.ObjectId(req.query.userId);
+
+    // Date range filter
+    if (req.query.startDate || req.query.endDate) {
+      filters.loginAt = {};
+      if (req.query.startDate) {
+        filters.loginAt.$gte = new Date(req.query.startDate);
+      }
+      if (req.query.endDate) {
+        filters.loginAt.$lte = new Date(req.query.endDate);
+      }
+    }
+
+    const [logins, total, byLevel] = await Promise.all([
+      LoginHistory.find(filters)
+        .populate('user', 'name email avatar role')
+        .sort({ loginAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+
+      LoginHistory.countDocuments(filters),
+
+      LoginHistory.aggregate([
+        { $match: filters },
+        { $group: { _id: '$risk.level', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        logins: logins.map(login => ({
+          id: login._id,
+          user: login.user,
+          ip: login.ip,
+          device: login.device,
+          location: login.location || null,
+          reported: login.reported || null,
+          loginAt: login.loginAt,
+          risk: login.risk
+        })),
+        summary: byLevel.reduce((acc, l) => ({ ...acc, [l._id]: l.count }), { high: 0, medium: 0, low: 0 }),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get Suspicious Logins Error:', error);
+    res.status(500).json({ 
+      status: 'error', 
+      message: 'Failed to fetch suspicious logins' 
+    });
+  }
+};
@@ -5,6 +5,13 @@ const { validationResult } = require('express-validator');
 const { getClientIp } = require('../services/ipAuthService');
 const { getDeviceInfo } = require('../services/deviceService');
 const { getLocationFromIp } = require('../services/locationService');
+const tokenService = require('../services/tokenService');
+const otpService = require('../services/otpService');
+const totpService = require('../services/totpService');
+const loginProtectionService = require('../services/loginProtectionService');
+const loginRiskService = require('../services/loginRiskService');
+const permissionService = require('../services/permissionService');
+const authConfig = require('../config/auth');
 
 // Helper: Format login info for response
 const formatLoginInfo = (ip, device) => `${ip} · ${device.substring(0, 50)}${device.length > 50 ? '...' : ''}`;
@@ -94,7 +101,7 @@ exports.registerWithRole = async (req, res, next) => {
       loginAt: new Date()
     });
 
-    const token = user.generateAuthToken();
+    const { token, refreshToken, expiresIn } = await tokenService.issueTokens(user, { ip, userAgent, device });
 
     res.status(201).json({
       status: 'success',
@@ -110,7 +117,9 @@ exports.registerWithRole = async (req, res, next) => {
           role: user.role,
           registeredFrom: formatLoginInfo(ip, device)
         },
-        token
+        token,
+        refreshToken,
+        expiresIn
       }
     });
   } catch (error) {
@@ -189,7 +198,7 @@ exports.register = async (req, res, next) => {
       loginAt: new Date()
     });
 
-    const token = user.generateAuthToken();
+    const { token, refreshToken, expiresIn } = await tokenService.issueTokens(user, { ip, userAgent, device });
 
     res.status(201).json({
       status: 'success',
@@ -204,7 +213,9 @@ exports.register = async (req, res, next) => {
           role: user.role,
           registeredFrom: formatLoginInfo(ip, device)
         },
-        token
+        token,
+        refreshToken,
+        expiresIn
       }
     });
   } catch (error) {
@@ -214,8 +225,181 @@ exports.register = async (req, res, next) => {
 };
 
 
+// Helper: Accept a TOTP code once (codes from already-used time steps are replays)
+const acceptTotpCode = (user, code) => {
+  const secret = totpService.decryptSecret(user.twoFactor.secret);
+  const step = totpService.verify(secret, code, user.twoFactor.lastUsedStep ?? -1);
+  if (step === null) return false;
+
+  user.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+// Helper: Redeem a single-use backup code
+const consumeBackupCode = (user, code) => {
+  const hash = totpService.hashBackupCode(code);
+  const index = (user.twoFactor.backupCodes || []).indexOf(hash);
+  if (index === -1) return false;
+
+  user.twoFactor.backupCodes.splice(index, 1);
+  return true;
+};
+
+// Helper: Record a failed login, slow the response down and answer 401 (or 429 once locked)
+const rejectLogin = async (req, res, { email, user, reason, message }) => {
+  const ip = getClientIp(req);
+  const userAgent = req.headers['user-agent'] || 'Unknown';
+
+  const { delayMs, lockedUntil } = await loginProtectionService.recordFailure(email, ip, user?._id);
+
+  await LoginHistory.create({
+    user: user?._id,
+    email,
+    ip,
+    device: getDeviceInfo(userAgent),
+    userAgent,
+    success: false,
+    failureReason: reason
+  });
+
+  // Progressive delay: every failure in the window makes the next answer slower
+  await new Promise(resolve => setTimeout(resolve, delayMs));
+
+  if (lockedUntil) {
+    res.set('Retry-After', Math.ceil((lockedUntil - Date.now()) / 1000));
+    return res.status(429).json({
+      status: 'error',
+      message: 'Too many failed login attempts. Your account is temporarily locked.',
+      data: { lockedUntil }
+    });
+  }
+
+  return res.status(401).json({ status: 'error', message });
+};
+
+// Helper: Answer 429 while the account or IP is locked out
+const respondLockedOut = async (req, res, email, error) => {
+  await LoginHistory.create({
+    email,
+    ip: getClientIp(req),
+    userAgent: req.headers['user-agent'] || 'Unknown',
+    success: false,
+    failureReason: 'locked_out'
+  });
+
+  res.set('Retry-After', error.retryAfter);
+  return res.status(429).json({ status: 'error', message: error.message });
+};
+
+// Helper: Device & location of a login. Risk scoring only trusts what the server sees
+// (User-Agent and IP); what the client reports is kept separately for display.
+const resolveLoginContext = async (req) => {
+  const { deviceInfo, locationInfo } = req.body;
+  const ip = getClientIp(req);
+  const userAgent = req.headers['user-agent'] || 'Unknown';
+
+  const device = getDeviceInfo(userAgent);
+  const location = await getLocationFromIp(ip);
+
+  // MANUAL DEVICE & LOCATION INFO (from user)
+  const reported = {};
+  if (deviceInfo && typeof deviceInfo === 'string' && deviceInfo.trim()) {
+    reported.device = deviceInfo.trim();
+  }
+  if (locationInfo && typeof locationInfo === 'object') {
+    reported.location = {
+      country: locationInfo.country || null,
+      state: locationInfo.state || null,
+      city: locationInfo.city || null,
+      pincode: locationInfo.pincode || null,
+      formattedAddress: locationInfo.formattedAddress || 
+        `${locationInfo.city || ''}, ${locationInfo.state || ''}, ${locationInfo.country || ''}`.replace(/^,\s*|,\s*$/g, '').trim() || null,
+      lat: locationInfo.lat || null,
+      lng: locationInfo.lng || null
+    };
+  }
+
+  return { ip, userAgent, device, location, reported };
+};
+
+// Helper: Record the login and respond with the session tokens
+const completeLogin = async (res, user, { ip, userAgent, device, location, reported = {} }, { mfa = false } = {}) => {
+  // Update user's last login
+  user.lastIp = ip;
+  user.lastDevice = device;
+  user.lastLoginAt = new Date();
+  if (location) {
+    user.lastLocation = {
+      country: location.country || null,
+      state: location.state || null,
+      city: location.city || null,
+      pincode: location.pincode || null,
+      formattedAddress: location.formattedAddress || null,
+      lat: location.lat || null,
+      lng: location.lng || null
+    };
+  }
+  await user.save({ validateBeforeSave: false });
+
+  // Compare with earlier logins: new device / new country / impossible travel
+  const risk = await loginRiskService.assessLogin(user._id, { device, location });
+
+  // Save full login history
+  const login = await LoginHistory.create({
+    user: user._id,
+    email: user.email,
+    ip,
+    device,
+    userAgent,
+    success: true,
+    risk,
+    location: location ? {
+      country: location.country,
+      state: location.state,
+      city: location.city,
+      pincode: location.pincode,
+      formattedAddress: location.formattedAddress,
+      lat: location.lat,
+      lng: location.lng
+    } : null,
+    reported
+  });
+
+  await loginProtectionService.recordSuccess(user.email);
+
+  // Alert the user in the background; the login itself is not blocked
+  loginRiskService.notifyIfSuspicious(user._id, login);
+
+  const { token, refreshToken, expiresIn } = await tokenService.issueTokens(user, { ip, userAgent, device }, { mfa });
+
+  return res.status(200).json({
+    status: 'success',
+    message: 'Login successful',
+    data: {
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        phone: user.phone,
+        avatar: user.avatar,
+        role: user.role,
+        lastLogin: user.lastLoginAt,
+        lastLoginFrom: formatLoginInfo(ip, device),
+        twoFactorEnabled: !!user.twoFactor?.enabled,
+        // Roles that must enroll before their privileges unlock
+        twoFactorSetupRequired: !user.twoFactor?.enabled &&
+          authConfig.twoFactor.mandatoryRoles.includes(user.role.toUpperCase())
+      },
+      token,
+      refreshToken,
+      expiresIn
+    }
+  });
+};
+
 /**
  * @desc    Login user with manual device & location info
+ *          (2FA accounts get an mfaToken to finish at /login/2fa)
  * @route   POST /api/v1/auth/login
  * @access  Public
  */
@@ -226,101 +410,106 @@ exports.login = async (req, res, next) => {
   }
 
   try {
-    const { email, password, deviceInfo, locationInfo } = req.body;
+    const { email, password } = req.body;
+
+    try {
+      await loginProtectionService.assertNotLocked(email, getClientIp(req));
+    } catch (error) {
+      if (error.statusCode !== 429) throw error;
+      return respondLockedOut(req, res, email, error);
+    }
 
     const user = await User.findOne({ email }).select('+password');
     if (!user || !(await user.comparePassword(password)) || !user.isActive) {
+      return rejectLogin(req, res, {
+        email,
+        user,
+        reason: user && user.isActive === false ? 'account_deactivated' : 'invalid_credentials',
+        message: 'Invalid credentials or account deactivated'
+      });
+    }
+
+    const context = await resolveLoginContext(req);
+
+    // Password is right but the second factor is still owed
+    if (user.twoFactor?.enabled) {
+      const mfaToken = tokenService.createLoginChallenge(user, context);
+
+      return res.status(200).json({
+        status: 'success',
+        message: 'Two-factor authentication required',
+        data: {
+          mfaRequired: true,
+          mfaToken,
+          expiresIn: authConfig.twoFactor.challengeExpire
+        }
+      });
+    }
+
+    return completeLogin(res, user, context);
+  } catch (error) {
+    console.error('Login Error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Second login step: TOTP code (or a backup code) for the mfaToken from /login
+ * @route   POST /api/v1/auth/login/2fa
+ * @access  Public (mfaToken)
+ */
+exports.loginTwoFactor = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ status: 'error', errors: errors.array() });
+  }
+
+  try {
+    const { mfaToken, code, backupCode } = req.body;
+
+    let challenge;
+    try {
+      challenge = tokenService.verifyLoginChallenge(mfaToken);
+    } catch (error) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Two-factor session expired. Please login again.'
+      });
+    }
+
+    const user = await User.findById(challenge.id)
+      .select('+password +twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep');
+    if (!user || !user.isActive || !user.twoFactor?.enabled) {
       return res.status(401).json({
         status: 'error',
         message: 'Invalid credentials or account deactivated'
       });
     }
 
-    // Use manual device info if provided, otherwise detect automatically
-    const ip = getClientIp(req);
-    const userAgent = req.headers['user-agent'] || 'Unknown';
-    let device, location;
-
-    // MANUAL DEVICE INFO (from user)
-    if (deviceInfo && typeof deviceInfo === 'string' && deviceInfo.trim()) {
-      device = deviceInfo.trim();
-    } else {
-      // Fallback to automatic detection
-      device = getDeviceInfo(userAgent);
-    }
-
-    // MANUAL LOCATION INFO (from user)
-    if (locationInfo && typeof locationInfo === 'object') {
-      location = {
-        country: locationInfo.country || null,
-        state: locationInfo.state || null,
-        city: locationInfo.city || null,
-        pincode: locationInfo.pincode || null,
-        formattedAddress: locationInfo.formattedAddress || 
-          `${locationInfo.city || ''}, ${locationInfo.state || ''}, ${locationInfo.country || ''}`.replace(/^,\s*|,\s*$/g, '').trim() || null,
-        lat: locationInfo.lat || null,
-        lng: locationInfo.lng || null
-      };
-    } else {
-      // Fallback to automatic IP-based location
-      location = await getLocationFromIp(ip);
-    }
-
-    // Update user's last login
-    user.lastIp = ip;
-    user.lastDevice = device;
-    user.lastLoginAt = new Date();
-    if (location) {
-      user.lastLocation = {
-        country: location.country || null,
-        state: location.state || null,
-        city: location.city || null,
-        pincode: location.pincode || null,
-        formattedAddress: location.formattedAddress || null,
-        lat: location.lat || null,
-        lng: location.lng || null
-      };
+    // Code guesses count toward the same lockout as password guesses
+    try {
+      await loginProtectionService.assertNotLocked(user.email, getClientIp(req));
+    } catch (error) {
+      if (error.statusCode !== 429) throw error;
+      return respondLockedOut(req, res, user.email, error);
     }
-    await user.save({ validateBeforeSave: false });
 
-    // Save full login history
-    await LoginHistory.create({
-      user: user._id,
-      ip,
-      device,
-      userAgent,
-      location: location ? {
-        country: location.country,
-        state: location.state,
-        city: location.city,
-        pincode: location.pincode,
-        formattedAddress: location.formattedAddress,
-        lat: location.lat,
-        lng: location.lng
-      } : null
-    });
+    const verified = backupCode
+      ? consumeBackupCode(user, backupCode)
+      : acceptTotpCode(user, code);
 
-    const token = user.generateAuthToken();
+    if (!verified) {
+      return rejectLogin(req, res, {
+        email: user.email,
+        user,
+        reason: 'invalid_2fa_code',
+        message: backupCode ? 'Invalid backup code' : 'Invalid two-factor code'
+      });
+    }
 
-    res.status(200).json({
-      status: 'success',
-      message: 'Login successful',
-      data: {
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          phone: user.phone,
-          avatar: user.avatar,
-          role: user.role,
-          lastLogin: user.lastLoginAt,
-          lastLoginFrom: formatLoginInfo(ip, device)
-        },
-        token
-      }
-    });
+    return completeLogin(res, user, challenge.context, { mfa: true });
   } catch (error) {
-    console.error('Login Error:', error);
+    console.error('Login 2FA Error:', error);
     next(error);
   }
 };
@@ -346,6 +535,10 @@ exports.getMe = async (req, res, next) => {
           avatar: user.avatar,
           role: user.role,
           isActive: user.isActive,
+          isEmailVerified: user.isEmailVerified,
+          isPhoneVerified: user.isPhoneVerified,
+          twoFactorEnabled: !!user.twoFactor?.enabled,
+          permissions: await permissionService.getRolePermissions(user.role),
           createdAt: user.createdAt,
           registeredIp: user.registeredIp || 'Unknown',
           registeredDevice: user.registeredDevice || 'Unknown',
@@ -375,6 +568,12 @@ exports.updateProfile = async (req, res, next) => {
   try {
     const updates = (({ name, phone, avatar }) => ({ name, phone, avatar }))(req.body);
 
+    // A new phone number has to be verified again
+    if (updates.phone && updates.phone !== req.user.phone) {
+      updates.isPhoneVerified = false;
+      updates.phoneVerifiedAt = null;
+    }
+
     const user = await User.findByIdAndUpdate(
       req.user.id,
       updates,
@@ -412,20 +611,574 @@ exports.registerAdmin = async (req, res, next) => {
       return res.status(400).json({ status: 'error', message: 'Admin already exists' });
     }
 
+    const ip = getClientIp(req);
+    const userAgent = req.headers['user-agent'] || '';
+    const device = getDeviceInfo(userAgent);
+
     const admin = await User.create({
-      name, email, phone, password, role: 'admin',
-      registeredIp: getClientIp(req),
-      registeredDevice: getDeviceInfo(req.headers['user-agent'] || '')
+      name, email, phone, password, role: 'ADMIN',
+      registeredIp: ip,
+      registeredDevice: device
     });
 
-    const token = admin.generateAuthToken();
+    const { token, refreshToken, expiresIn } = await tokenService.issueTokens(admin, { ip, userAgent, device });
 
     res.status(201).json({
       status: 'success',
       message: 'Admin created successfully',
-      data: { admin: { id: admin._id, name: admin.name, role: 'admin' }, token }
+      data: { admin: { id: admin._id, name: admin.name, role: admin.role }, token, refreshToken, expiresIn }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Exchange a refresh token for a new access/refresh token pair (rotation)
+ * @route   POST /api/v1/auth/refresh
+ * @access  Public (refresh token)
+ */
+exports.refreshToken = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ status: 'error', errors: errors.array() });
+  }
+
+  try {
+    const ip = getClientIp(req);
+    const userAgent = req.headers['user-agent'] || 'Unknown';
+
+    const { token, refreshToken, expiresIn, refreshTokenExpiresAt } = await tokenService.rotateRefreshToken(
+      req.body.refreshToken,
+      { ip, userAgent, device: getDeviceInfo(userAgent) }
+    );
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Token refreshed',
+      data: {
+        token,
+        refreshToken,
+        expiresIn,
+        refreshTokenExpiresAt
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    console.error('Refresh Token Error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Logout: revoke the current session (or every session with allDevices)
+ * @route   POST /api/v1/auth/logout
+ * @access  Private
+ */
+exports.logout = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ status: 'error', errors: errors.array() });
+  }
+
+  try {
+    const { refreshToken, allDevices } = req.body;
+
+    const revoked = allDevices === true
+      ? await tokenService.revokeAllSessions(req.user.id)
+      : await tokenService.revokeSession({
+        sessionId: req.sessionId,
+        refreshToken,
+        userId: req.user.id
+      });
+
+    res.status(200).json({
+      status: 'success',
+      message: allDevices === true ? 'Logged out from all devices' : 'Logged out successfully',
+      data: { revoked }
+    });
+  } catch (error) {
+    console.error('Logout Error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Change password (requires the current password); signs out other sessions
+ * @route   PUT /api/v1/auth/change-password
+ * @access  Private
+ */
+exports.changePassword = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ status: 'error', errors: errors.array() });
+  }
+
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user.id).select('+password');
+    if (!(await user.comparePassword(currentPassword))) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Current password is incorrect'
+      });
+    }
+
+    if (await user.comparePassword(newPassword)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'New password must be different from the current password'
+      });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    const revoked = await tokenService.revokeAllSessions(user._id, 'password_change', {
+      except: req.sessionFamily
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Password changed successfully',
+      data: { otherSessionsSignedOut: revoked }
+    });
+  } catch (error) {
+    console.error('Change Password Error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Send a password reset code by email or SMS
+ * @route   POST /api/v1/auth/forgot-password
+ * @access  Public
+ */
+exports.forgotPassword = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ status: 'error', errors: errors.array() });
+  }
+
+  try {
+    const { email, channel = 'email' } = req.body;
+
+    // Same answer whether or not the account exists, so emails can't be probed
+    const genericResponse = {
+      status: 'success',
+      message: 'If an account exists for this email, a reset code has been sent'
+    };
+
+    const user = await User.findOne({ email });
+    if (!user || !user.isActive) {
+      return res.status(200).json(genericResponse);
+    }
+
+    // Rate-limited or undeliverable requests get the generic answer too
+    try {
+      await otpService.issueCode(user, 'password_reset', { channel, ip: getClientIp(req) });
+    } catch (error) {
+      if (!error.statusCode) throw error;
+      console.warn(`Password reset code not sent to ${user._id}: ${error.message}`);
+    }
+
+    res.status(200).json(genericResponse);
+  } catch (error) {
+    console.error('Forgot Password Error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Reset password with the one-time code; signs out every session
+ * @route   POST /api/v1/auth/reset-password
+ * @access  Public
+ */
+exports.resetPassword = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ status: 'error', errors: errors.array() });
+  }
+
+  try {
+    const { email, code, newPassword } = req.body;
+
+    const user = await User.findOne({ email }).select('+password');
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid or expired code'
+      });
+    }
+
+    try {
+      await otpService.verifyCode(user._id, 'password_reset', code);
+    } catch (error) {
+      if (!error.statusCode) throw error;
+      return res.status(error.statusCode).json({ status: 'error', message: error.message });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    await tokenService.revokeAllSessions(user._id, 'password_reset');
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Password has been reset. Please login with your new password.'
+    });
+  } catch (error) {
+    console.error('Reset Password Error:', error);
+    next(error);
+  }
+};
+
+// Helper: User fields behind each verification channel
+const VERIFICATION_FIELDS = {
+  email: { value: 'email', flag: 'isEmailVerified', at: 'emailVerifiedAt', purpose: 'email_verification', otpChannel: 'email' },
+  phone: { value: 'phone', flag: 'isPhoneVerified', at: 'phoneVerifiedAt', purpose: 'phone_verification', otpChannel: 'sms' }
+};
+
+/**
+ * @desc    Send a verification code to the user's email or phone
+ * @route   POST /api/v1/auth/verify/:channel/send   (channel: email | phone)
+ * @access  Private
+ */
+exports.sendVerificationCode = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ status: 'error', errors: errors.array() });
+  }
+
+  try {
+    const fields = VERIFICATION_FIELDS[req.params.channel];
+    const user = req.user;
+
+    if (user[fields.flag]) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Your ${req.params.channel} is already verified`
+      });
+    }
+
+    try {
+      const { expiresAt } = await otpService.issueCode(user, fields.purpose, {
+        channel: fields.otpChannel,
+        ip: getClientIp(req)
+      });
+
+      res.status(200).json({
+        status: 'success',
+        message: `Verification code sent to your ${req.params.channel}`,
+        data: { expiresAt }
+      });
+    } catch (error) {
+      if (!error.statusCode) throw error;
+      return res.status(error.statusCode).json({ status: 'error', message: error.message });
+    }
+  } catch (error) {
+    console.error('Send Verification Code Error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Confirm email or phone with the code that was sent
+ * @route   POST /api/v1/auth/verify/:channel/confirm
+ * @access  Private
+ */
+exports.confirmVerification = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ status: 'error', errors: errors.array() });
+  }
+
+  try {
+    const fields = VERIFICATION_FIELDS[req.params.channel];
+    const user = req.user;
+
+    if (user[fields.flag]) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Your ${req.params.channel} is already verified`
+      });
+    }
+
+    try {
+      await otpService.verifyCode(user._id, fields.purpose, req.body.code, {
+        destination: user[fields.value]
+      });
+    } catch (error) {
+      if (!error.statusCode) throw error;
+      return res.status(error.statusCode).json({ status: 'error', message: error.message });
+    }
+
+    // Only flag the contact the code was sent to, even if it changes concurrently
+    const verifiedAt = new Date();
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id, [fields.value]: user[fields.value] },
+      { [fields.flag]: true, [fields.at]: verifiedAt }
+    );
+    if (!updated) {
+      return res.status(409).json({
+        status: 'error',
+        message: `Your ${req.params.channel} changed while verifying. Please request a new code.`
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: `${req.params.channel === 'email' ? 'Email' : 'Phone number'} verified successfully`,
+      data: {
+        [fields.value]: user[fields.value],
+        verifiedAt
+      }
+    });
+  } catch (error) {
+    console.error('Confirm Verification Error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Two-factor status of the current user
+ * @route   GET /api/v1/auth/2fa
+ * @access  Private
+ */
+exports.getTwoFactorStatus = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('+twoFactor.backupCodes');
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        enabled: !!user.twoFactor?.enabled,
+        enabledAt: user.twoFactor?.enabledAt || null,
+        backupCodesRemaining: user.twoFactor?.backupCodes?.length || 0,
+        required: authConfig.twoFactor.mandatoryRoles.includes(user.role.toUpperCase())
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Start 2FA enrollment: new secret + otpauth URI for the authenticator app
+ * @route   POST /api/v1/auth/2fa/setup
+ * @access  Private
+ */
+exports.setupTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = totpService.generateSecret();
+    user.twoFactor.pendingSecret = totpService.encryptSecret(secret);
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Scan the QR code with your authenticator app, then verify a code to finish',
+      data: {
+        secret,
+        otpauthUri: totpService.buildOtpAuthUri(secret, user.email)
+      }
+    });
+  } catch (error) {
+    console.error('Setup 2FA Error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Finish enrollment with a code from the app; returns backup codes (shown once)
+ *          and a fresh 2FA-verified session (all other sessions are signed out)
+ * @route   POST /api/v1/auth/2fa/verify
+ * @access  Private
+ */
+exports.verifyTwoFactorSetup = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ status: 'error', errors: errors.array() });
+  }
+
+  try {
+    const user = await User.findById(req.user.id).select('+twoFactor.pendingSecret');
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const secret = totpService.decryptSecret(user.twoFactor.pendingSecret);
+    const step = totpService.verify(secret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    const { codes, hashes } = totpService.generateBackupCodes();
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.backupCodes = hashes;
+    await user.save({ validateBeforeSave: false });
+
+    // Other sessions, opened without the second factor, end here
+    await tokenService.revokeAllSessions(user._id, 'mfa_enabled', { except: req.sessionFamily });
+
+    // This device's login carries on (same family keeps its push/tracking bindings), now with mfa
+    const ip = getClientIp(req);
+    const userAgent = req.headers['user-agent'] || 'Unknown';
+    const client = { ip, userAgent, device: getDeviceInfo(userAgent) };
+    const { token, refreshToken, expiresIn } = req.sessionFamily
+      ? await tokenService.reissueTokens(user, req.sessionFamily, client, { mfa: true, reason: 'mfa_enabled' })
+      : await tokenService.issueTokens(user, client, { mfa: true });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Two-factor authentication enabled. Store your backup codes somewhere safe.',
+      data: {
+        backupCodes: codes,
+        token,
+        refreshToken,
+        expiresIn
+      }
+    });
+  } catch (error) {
+    console.error('Verify 2FA Setup Error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Disable 2FA (password + current code or backup code); not allowed for roles that require it
+ * @route   POST /api/v1/auth/2fa/disable
+ * @access  Private
+ */
+exports.disableTwoFactor = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ status: 'error', errors: errors.array() });
+  }
+
+  try {
+    const { password, code, backupCode } = req.body;
+
+    if (authConfig.twoFactor.mandatoryRoles.includes(req.user.role.toUpperCase())) {
+      return res.status(403).json({
+        status: 'error',
+        message: `Two-factor authentication is mandatory for ${req.user.role} accounts`
+      });
+    }
+
+    const user = await User.findById(req.user.id)
+      .select('+password +twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep');
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await user.comparePassword(password))) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Password is incorrect'
+      });
+    }
+
+    const verified = backupCode
+      ? consumeBackupCode(user, backupCode)
+      : acceptTotpCode(user, code);
+    if (!verified) {
+      return res.status(401).json({
+        status: 'error',
+        message: backupCode ? 'Invalid backup code' : 'Invalid two-factor code'
+      });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('Disable 2FA Error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Replace the backup codes (requires a current code); old codes stop working
+ * @route   POST /api/v1/auth/2fa/backup-codes
+ * @access  Private
+ */
+exports.regenerateBackupCodes = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ status: 'error', errors: errors.array() });
+  }
+
+  try {
+    const user = await User.findById(req.user.id)
+      .select('+twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep');
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!acceptTotpCode(user, req.body.code)) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    const { codes, hashes } = totpService.generateBackupCodes();
+    user.twoFactor.backupCodes = hashes;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'New backup codes generated',
+      data: { backupCodes: codes }
     });
   } catch (error) {
+    console.error('Regenerate Backup Codes Error:', error);
     next(error);
   }
 };
\ No newline at end of file
@@ -1,6 +1,15 @@
 // src/controllers/commentController.js
 const Comment = require('../models/Comment');
 const Post = require('../models/Post');
+const socketManager = require('../socket/socketManager');
+const permissionService = require('../services/permissionService');
+const visibilityService = require('../services/visibilityService');
+
+// Helper: The post exists and the viewer may see it (comments follow their post's visibility)
+const canSeePost = async (postId, viewer) => {
+  const post = await Post.findById(postId).select('user visibility isActive');
+  return !!post && post.isActive && await visibilityService.canViewPost(viewer, post);
+};
 
 // @desc    Create a new comment or reply
 // @route   POST /api/v1/comments
@@ -9,9 +18,9 @@ exports.createComment = async (req, res, next) => {
   try {
     const { postId, text, parentCommentId } = req.body;
 
-    // Check if post exists
+    // Check if post exists and the user may see it
     const post = await Post.findById(postId);
-    if (!post || !post.isActive) {
+    if (!post || !post.isActive || !(await visibilityService.canViewPost(req.user, post))) {
       return res.status(404).json({
         status: 'error',
         message: 'Post not found or has been deleted'
@@ -38,6 +47,11 @@ exports.createComment = async (req, res, next) => {
 
     await comment.populate('user', 'name avatar email');
 
+    // Notify the post author in real time (not for their own comments)
+    if (post.user.toString() !== req.user.id) {
+      socketManager.emitToUser(post.user, socketManager.EVENTS.COMMENT_NEW, { postId, comment });
+    }
+
     res.status(201).json({
       status: 'success',
       message: 'Comment added successfully',
@@ -58,6 +72,13 @@ exports.getPostComments = async (req, res, next) => {
     const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 20));
     const skip = (page - 1) * limit;
 
+    if (!(await canSeePost(postId, req.user || null))) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Post not found'
+      });
+    }
+
     const [comments, total] = await Promise.all([
       Comment.find({ post: postId, parentComment: null, isActive: true })
         .populate('user', 'name avatar email')
@@ -96,6 +117,14 @@ exports.getCommentReplies = async (req, res, next) => {
     const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 10));
     const skip = (page - 1) * limit;
 
+    const parent = await Comment.findById(commentId).select('post');
+    if (!parent || !(await canSeePost(parent.post, req.user || null))) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Comment not found'
+      });
+    }
+
     const [replies, total] = await Promise.all([
       Comment.find({ parentComment: commentId, isActive: true })
         .populate('user', 'name avatar email')
@@ -146,7 +175,8 @@ exports.updateComment = async (req, res, next) => {
     }
 
     // Ownership check
-    if (comment.user.toString() !== req.user.id && req.user.role !== 'admin') {
+    if (comment.user.toString() !== req.user.id &&
+        !(await permissionService.hasPermission(req.user, 'comments.moderate'))) {
       return res.status(403).json({
         status: 'error',
         message: 'Not authorized to edit this comment'
@@ -183,7 +213,8 @@ exports.deleteComment = async (req, res, next) => {
     }
 
     // Ownership check
-    if (comment.user.toString() !== req.user.id && req.user.role !== 'admin') {
+    if (comment.user.toString() !== req.user.id &&
+        !(await permissionService.hasPermission(req.user, 'comments.moderate'))) {
       return res.status(403).json({
         status: 'error',
         message: 'Not authorized to delete this comment'
@@ -210,7 +241,7 @@ exports.deleteComment = async (req, res, next) => {
 exports.likeComment = async (req, res, next) => {
   try {
     const comment = await Comment.findById(req.params.id);
-    if (!comment || !comment.isActive) {
+    if (!comment || !comment.isActive || !(await canSeePost(comment.post, req.user))) {
       return res.status(404).json({
         status: 'error',
         message: 'Comment not found'
@@ -27,7 +27,8 @@ exports.registerDeviceToken = async (req, res) => {
       deviceName,
       deviceModel,
       osVersion,
-      appVersion
+      appVersion,
+      authSession: req.sessionFamily
     });
 
     res.status(200).json({
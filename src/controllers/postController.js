@@ -1,7 +1,34 @@
 // src/controllers/postController.js
 const Post = require('../models/Post');
-const Follow = require('../models/Follow');
 const { uploadMedia, deleteMedia } = require('../services/cloudinaryService');
+const socketManager = require('../socket/socketManager');
+const feedService = require('../services/feedService');
+const permissionService = require('../services/permissionService');
+const visibilityService = require('../services/visibilityService');
+const postTagService = require('../services/postTagService');
+
+// Helper: Load a live post the viewer is allowed to see (null otherwise, so callers answer 404)
+const findVisibleLivePost = async (postId, viewer) => {
+  const post = await Post.findById(postId);
+  if (!post || !post.isActive || post.status !== 'live') return null;
+  return (await visibilityService.canViewPost(viewer, post)) ? post : null;
+};
+
+// Helper: Trade idea from the request body (JSON string in multipart forms)
+// Returns undefined when absent, null to remove it, false when malformed
+const readTradeIdea = (raw) => {
+  if (raw === undefined || raw === '') return undefined;
+  if (raw === null || raw === 'null') return null;
+
+  let idea = raw;
+  if (typeof raw === 'string') {
+    try { idea = JSON.parse(raw); } catch { return false; }
+  }
+  if (!idea || typeof idea !== 'object' || Array.isArray(idea)) return false;
+
+  const { symbol, direction, entry, stopLoss, takeProfit, timeframe } = idea;
+  return { symbol, direction, entry, stopLoss, takeProfit, timeframe };
+};
 
 /**
  * @desc    Get ALL posts of the authenticated user (inReview, live, rejected)
@@ -64,15 +91,21 @@ exports.createPost = async (req, res, next) => {
   try {
     const { text, postType = 'text', visibility = 'public', poll } = req.body;
 
+    const tradeIdea = readTradeIdea(req.body.tradeIdea);
+    if (tradeIdea === false) {
+      return res.status(400).json({ status: 'error', message: 'Invalid trade idea format' });
+    }
+
     const postData = {
       user: req.user.id,
       postType,
       visibility,
-      content: text ? { text: text.trim() } : undefined,
       status: 'inReview',
       sharesCount: 0
     };
 
+    if (tradeIdea) postData.tradeIdea = tradeIdea;
+
     if (postType === 'poll') {
       let pollObj = poll;
       if (typeof poll === 'string') {
@@ -106,9 +139,14 @@ exports.createPost = async (req, res, next) => {
       }
     }
 
-    const post = await Post.create(postData);
+    const post = new Post(postData);
+    if (text) await postTagService.applyText(post, text.trim());
+    await post.save();
     await post.populate('user', 'name avatar email role');
 
+    // Let admins know a new post is waiting for review
+    socketManager.emitToAdmins(socketManager.EVENTS.POST_REVIEW, { post });
+
     res.status(201).json({
       status: 'success',
       message: 'Post submitted for review!',
@@ -126,8 +164,8 @@ exports.createPost = async (req, res, next) => {
  */
 exports.sharePost = async (req, res, next) => {
   try {
-    const post = await Post.findById(req.params.id);
-    if (!post || post.status !== 'live') {
+    const post = await findVisibleLivePost(req.params.id, req.user);
+    if (!post) {
       return res.status(404).json({ status: 'error', message: 'Post not live' });
     }
 
@@ -139,102 +177,197 @@ exports.sharePost = async (req, res, next) => {
 };
 
 /**
- * @desc    Personalized infinite feed (only LIVE posts) - FIXED VERSION
- * @route   GET /api/v1/posts
- * @access  Public
+ * @desc    Personalized infinite feed (only LIVE posts), followed authors first
+ * @route   GET /api/v1/posts?cursor=<nextCursor>&limit=10
+ * @access  Public (personalized when a token is sent)
  */
 exports.getPosts = async (req, res, next) => {
   try {
-    const page = Math.max(1, parseInt(req.query.page) || 1);
-    const limit = Math.min(30, Math.max(10, parseInt(req.query.limit) || 10));
-    const skip = (page - 1) * limit;
-    const userId = req.user?._id;
+    const limit = Math.min(30, Math.max(1, parseInt(req.query.limit) || 10));
 
-    let followingIds = [];
+    const { posts, nextCursor, hasMore } = await feedService.getHomeFeed(req.user || null, {
+      cursor: req.query.cursor,
+      limit
+    });
 
-    // Get user's following list if authenticated
-    if (userId) {
-      const follows = await Follow.find({ follower: userId }).select('following').lean();
-      followingIds = follows.map(f => f.following.toString());
+    res.json({
+      status: 'success',
+      data: {
+        posts,
+        pagination: {
+          limit,
+          hasMore,
+          nextCursor
+        }
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ status: 'error', message: error.message });
     }
+    console.error('Get Posts Error:', error);
+    next(error);
+  }
+};
 
-    // Build query for posts from following + public posts
-    const query = {
-      status: 'live',
-      isActive: true,
-      user: { $exists: true, $ne: null } // Ensure user field exists and is not null
-    };
+/**
+ * @desc    Ranked "For You" feed (engagement, dwell time, author affinity), with ranking reasons
+ * @route   GET /api/v1/posts/for-you?cursor=<nextCursor>&limit=10
+ * @access  Public (personalized when a token is sent)
+ */
+exports.getForYouPosts = async (req, res, next) => {
+  try {
+    const limit = Math.min(30, Math.max(1, parseInt(req.query.limit) || 10));
 
-    // First, let's debug what's in the database
-    const allPosts = await Post.find({ status: 'live', isActive: true })
-      .select('_id user')
-      .lean();
-    
-    console.log('=== POST DEBUG ===');
-    console.log('Total live posts:', allPosts.length);
-    console.log('Posts with null users:', allPosts.filter(p => !p.user).length);
-    console.log('Posts with valid users:', allPosts.filter(p => p.user).length);
-    console.log('==================');
-
-    // Fetch posts with proper pagination
-    const posts = await Post.find(query)
-      .populate({
-        path: 'user',
-        select: 'name avatar email userName',
-        match: { isActive: true } // Only populate active users
-      })
-      .sort({ 
-        createdAt: -1 // Most recent first
-      })
-      .skip(skip)
-      .limit(limit + 1) // Fetch one extra to check if there are more
-      .lean();
-
-    console.log('Posts fetched after populate:', posts.length);
-    console.log('Posts with populated user:', posts.filter(p => p.user).length);
-
-    // Check if there are more posts
-    const hasMore = posts.length > limit;
-    
-    // Remove the extra post if exists
-    const finalPosts = hasMore ? posts.slice(0, limit) : posts;
-
-    // Filter out any posts where user is still null (extra safety)
-    const validPosts = finalPosts.filter(p => p.user && p.user._id);
-
-    console.log('Valid posts after filtering:', validPosts.length);
-
-    // Prioritize posts from following users
-    const sortedPosts = validPosts.sort((a, b) => {
-      const aIsFollowing = followingIds.includes(a.user._id.toString());
-      const bIsFollowing = followingIds.includes(b.user._id.toString());
-      
-      // Posts from following users come first
-      if (aIsFollowing && !bIsFollowing) return -1;
-      if (!aIsFollowing && bIsFollowing) return 1;
-      
-      // Otherwise maintain chronological order
-      return new Date(b.createdAt) - new Date(a.createdAt);
+    const { posts, nextCursor, hasMore } = await feedService.getForYouFeed(req.user || null, {
+      cursor: req.query.cursor,
+      limit
     });
 
-    // Get total count for pagination info (only posts with valid users)
-    const totalCount = await Post.countDocuments(query);
-
     res.json({
       status: 'success',
       data: {
-        posts: sortedPosts,
+        posts,
         pagination: {
-          page,
           limit,
-          total: totalCount,
-          hasMore: sortedPosts.length >= limit,
-          nextPage: sortedPosts.length >= limit ? page + 1 : null
+          hasMore,
+          nextCursor
         }
       }
     });
   } catch (error) {
-    console.error('Get Posts Error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ status: 'error', message: error.message });
+    }
+    console.error('Get For You Posts Error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Posts with a hashtag (newest first)
+ * @route   GET /api/v1/posts/hashtags/:tag?cursor=<nextCursor>&limit=10
+ * @access  Public (personalized when a token is sent)
+ */
+exports.getHashtagPosts = async (req, res, next) => {
+  try {
+    const limit = Math.min(30, Math.max(1, parseInt(req.query.limit) || 10));
+
+    const { posts, nextCursor, hasMore } = await feedService.getHashtagFeed(req.user || null, req.params.tag, {
+      cursor: req.query.cursor,
+      limit
+    });
+
+    res.json({
+      status: 'success',
+      data: {
+        tag: req.params.tag.replace(/^#/, '').toLowerCase(),
+        posts,
+        pagination: { limit, hasMore, nextCursor }
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ status: 'error', message: error.message });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Trending hashtags over a time window
+ * @route   GET /api/v1/posts/hashtags/trending?hours=24&limit=10
+ * @access  Public
+ */
+exports.getTrendingHashtags = async (req, res, next) => {
+  try {
+    const hours = Math.min(24 * 30, Math.max(1, parseInt(req.query.hours) || 24));
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 10));
+
+    const hashtags = await postTagService.getTrendingHashtags({ hours, limit });
+
+    res.json({ status: 'success', data: { hours, hashtags } });
+  } catch (error) { next(error); }
+};
+
+/**
+ * @desc    Posts about a market symbol (newest first), optionally only long/short trade ideas
+ * @route   GET /api/v1/posts/symbols/:symbol?direction=long|short&cursor=<nextCursor>&limit=10
+ * @access  Public (personalized when a token is sent)
+ */
+exports.getSymbolPosts = async (req, res, next) => {
+  try {
+    const limit = Math.min(30, Math.max(1, parseInt(req.query.limit) || 10));
+
+    const { posts, nextCursor, hasMore } = await feedService.getSymbolFeed(req.user || null, req.params.symbol, {
+      direction: req.query.direction,
+      cursor: req.query.cursor,
+      limit
+    });
+
+    res.json({
+      status: 'success',
+      data: {
+        symbol: req.params.symbol.replace(/^\$/, '').toUpperCase(),
+        posts,
+        pagination: { limit, hasMore, nextCursor }
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ status: 'error', message: error.message });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Most discussed symbols over a time window (with the long/short split of trade ideas)
+ * @route   GET /api/v1/posts/symbols/trending?hours=24&limit=10
+ * @access  Public
+ */
+exports.getTrendingSymbols = async (req, res, next) => {
+  try {
+    const hours = Math.min(24 * 30, Math.max(1, parseInt(req.query.hours) || 24));
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 10));
+
+    const symbols = await postTagService.getTrendingSymbols({ hours, limit });
+
+    res.json({ status: 'success', data: { hours, symbols } });
+  } catch (error) { next(error); }
+};
+
+/**
+ * @desc    Full-text search over live posts
+ * @route   GET /api/v1/posts/search?q=gold breakout&sort=relevance|recent&cursor=<nextCursor>&limit=10
+ * @access  Public (personalized when a token is sent)
+ */
+exports.searchPosts = async (req, res, next) => {
+  try {
+    const limit = Math.min(30, Math.max(1, parseInt(req.query.limit) || 10));
+    const sort = req.query.sort === 'recent' ? 'recent' : 'relevance';
+    // Validator sanitizers don't write back to req.query in Express 5
+    const q = String(req.query.q).trim();
+
+    const { posts, nextCursor, hasMore } = await feedService.searchPosts(req.user || null, q, {
+      sort,
+      cursor: req.query.cursor,
+      limit
+    });
+
+    res.json({
+      status: 'success',
+      data: {
+        query: q,
+        sort,
+        posts,
+        pagination: { limit, hasMore, nextCursor }
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ status: 'error', message: error.message });
+    }
     next(error);
   }
 };
@@ -250,7 +383,9 @@ exports.getPost = async (req, res, next) => {
       .populate('user', 'name avatar email')
       .populate('likes.user', 'name avatar');
 
-    if (!post || !post.isActive || post.status !== 'live') {
+    // Posts the viewer may not see answer like missing ones
+    if (!post || !post.isActive || post.status !== 'live' ||
+        !(await visibilityService.canViewPost(req.user || null, post))) {
       return res.status(404).json({ status: 'error', message: 'Post not found or not approved' });
     }
 
@@ -268,17 +403,37 @@ exports.updatePost = async (req, res, next) => {
     const post = await Post.findById(req.params.id);
     if (!post || !post.isActive) return res.status(404).json({ status: 'error', message: 'Post not found' });
 
-    if (post.user.toString() !== req.user.id && req.user.role !== 'ADMIN') {
+    if (post.user.toString() !== req.user.id &&
+        !(await permissionService.hasPermission(req.user, 'posts.moderate'))) {
       return res.status(403).json({ status: 'error', message: 'Not authorized' });
     }
 
+    const tradeIdea = readTradeIdea(req.body.tradeIdea);
+    if (tradeIdea === false) {
+      return res.status(400).json({ status: 'error', message: 'Invalid trade idea format' });
+    }
+
     const { text, visibility } = req.body;
-    if (text !== undefined) post.content.text = text.trim();
+    if (text !== undefined) await postTagService.applyText(post, text.trim());
     if (visibility) post.visibility = visibility;
 
+    if (tradeIdea !== undefined) {
+      const previousSymbol = post.tradeIdea?.symbol;
+      post.tradeIdea = tradeIdea || undefined;
+
+      // The old idea's symbol stays listed only if the text still mentions it
+      if (previousSymbol && previousSymbol !== post.tradeIdea?.symbol &&
+          !postTagService.parse(post.content?.text).symbols.includes(previousSymbol)) {
+        post.symbols.pull(previousSymbol);
+      }
+    }
+
     await post.save();
     await post.populate('user', 'name avatar email');
 
+    // Users newly mentioned in a live post hear about it now (in the background)
+    postTagService.notifyMentions(post, post.user);
+
     res.json({ status: 'success', message: 'Post updated', data: { post } });
   } catch (error) { next(error); }
 };
@@ -293,7 +448,8 @@ exports.deletePost = async (req, res, next) => {
     const post = await Post.findById(req.params.id);
     if (!post) return res.status(404).json({ status: 'error', message: 'Post not found' });
 
-    if (post.user.toString() !== req.user.id && req.user.role !== 'ADMIN') {
+    if (post.user.toString() !== req.user.id &&
+        !(await permissionService.hasPermission(req.user, 'posts.moderate'))) {
       return res.status(403).json({ status: 'error', message: 'Not authorized' });
     }
 
@@ -311,8 +467,8 @@ exports.deletePost = async (req, res, next) => {
  */
 exports.likePost = async (req, res, next) => {
   try {
-    const post = await Post.findById(req.params.id);
-    if (!post || post.status !== 'live') {
+    const post = await findVisibleLivePost(req.params.id, req.user);
+    if (!post) {
       return res.status(404).json({ status: 'error', message: 'Post not live' });
     }
 
@@ -340,9 +496,9 @@ exports.likePost = async (req, res, next) => {
 exports.voteOnPoll = async (req, res, next) => {
   try {
     const { optionIndex } = req.body;
-    const post = await Post.findById(req.params.id);
+    const post = await findVisibleLivePost(req.params.id, req.user);
 
-    if (!post || post.postType !== 'poll' || post.status !== 'live') {
+    if (!post || post.postType !== 'poll') {
       return res.status(404).json({ status: 'error', message: 'Poll not live' });
     }
 
@@ -362,9 +518,9 @@ exports.voteOnPoll = async (req, res, next) => {
 };
 
 /**
- * @desc    Get user's posts (all statuses visible to owner)
+ * @desc    Get user's posts (all statuses visible to owner, others see live posts they're allowed to)
  * @route   GET /api/v1/posts/user/:userId
- * @access  Public
+ * @access  Public (personalized when a token is sent)
  */
 exports.getUserPosts = async (req, res, next) => {
   try {
@@ -374,7 +530,12 @@ exports.getUserPosts = async (req, res, next) => {
 
     const query = req.user && req.user.id === req.params.userId
       ? { user: req.params.userId, isActive: true }
-      : { user: req.params.userId, status: 'live', isActive: true };
+      : {
+          user: req.params.userId,
+          status: 'live',
+          isActive: true,
+          $and: [await visibilityService.buildPostFilter(req.user || null)]
+        };
 
     const [posts, total] = await Promise.all([
       Post.find(query)
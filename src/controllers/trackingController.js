@@ -66,6 +66,7 @@ exports.startSession = async (req, res) => {
         accuracy: location.accuracy
       } : null,
       fcmToken,
+      authSession: req.sessionFamily,
       language: language || 'en',
       referrer,
       isFirstSession: sessionCount === 0
@@ -111,7 +112,8 @@ exports.startSession = async (req, res) => {
           deviceName: device?.name,
           deviceModel: device?.model,
           osVersion: device?.osVersion,
-          appVersion: device?.appVersion
+          appVersion: device?.appVersion,
+          authSession: req.sessionFamily
         });
       } catch (err) {
         console.error('Failed to register device token during session start:', err);
@@ -193,6 +195,7 @@ exports.trackScreen = async (req, res) => {
       screenName,
       screenRoute,
       screenTitle,
+      post: screenName === 'post_detail' ? metadata?.postId : undefined,
       previousScreen,
       navigationMethod: navigationMethod || 'tap',
       deviceState: deviceState ? {
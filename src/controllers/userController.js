@@ -7,6 +7,7 @@ const mongoose = require('mongoose');
 const { formatLoginInfo } = require('../services/ipAuthService');
 const { uploadMedia } = require('../services/cloudinaryService');
 const LoginHistory = require('../models/LoginHistory');
+const tokenService = require('../services/tokenService');
 
 /**
  * 
@@ -32,6 +33,8 @@ exports.getMyProfile = async (req, res) => {
           avatar: user.avatar,
           role: user.role,
           isActive: user.isActive,
+          isEmailVerified: user.isEmailVerified,
+          isPhoneVerified: user.isPhoneVerified,
           createdAt: user.createdAt,
           followersCount: user.followersCount || 0,
           followingCount: user.followingCount || 0,
@@ -61,6 +64,12 @@ exports.updateMyProfile = async (req, res) => {
     if (req.body.name) updates.name = req.body.name.trim();
     if (req.body.phone) updates.phone = req.body.phone;
 
+    // A new phone number has to be verified again
+    if (updates.phone && updates.phone !== req.user.phone) {
+      updates.isPhoneVerified = false;
+      updates.phoneVerifiedAt = null;
+    }
+
     if (req.file) {
       try {
         const result = await uploadMedia([req.file]);
@@ -383,6 +392,9 @@ exports.getLoginHistory = async (req, res) => {
       device: entry.device,
       userAgent: entry.userAgent,
       loginAt: entry.loginAt,
+      success: entry.success !== false,
+      failureReason: entry.failureReason || null,
+      riskFlags: entry.risk?.flags || [],
       location: entry.location ? {
         country: entry.location.country || 'Unknown',
         state: entry.location.state || 'Unknown',
@@ -391,7 +403,11 @@ exports.getLoginHistory = async (req, res) => {
         formattedAddress: entry.location.formattedAddress || 'Unknown',
         lat: entry.location.lat || null,
         lng: entry.location.lng || null
-      } : null
+      } : null,
+      reported: {
+        device: entry.reported?.device || null,
+        location: entry.reported?.location || null
+      }
     }));
 
     res.status(200).json({
@@ -412,4 +428,77 @@ exports.getLoginHistory = async (req, res) => {
     console.error('Get Login History Error:', error);
     res.status(500).json({ status: 'error', message: 'Server error' });
   }
+};
+
+/**
+ * @desc    List where the user is logged in (live sessions)
+ * @route   GET /api/v1/users/sessions
+ * @access  Private (only own sessions)
+ */
+exports.getActiveSessions = async (req, res) => {
+  try {
+    const sessions = await tokenService.listSessions(req.user._id, req.sessionFamily);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Active sessions fetched',
+      data: {
+        sessions,
+        total: sessions.length
+      }
+    });
+  } catch (error) {
+    console.error('Get Active Sessions Error:', error);
+    res.status(500).json({ status: 'error', message: 'Server error' });
+  }
+};
+
+/**
+ * @desc    Sign out one session remotely
+ * @route   DELETE /api/v1/users/sessions/:sessionId
+ * @access  Private (only own sessions)
+ */
+exports.revokeSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const revoked = await tokenService.revokeFamilies(req.user._id, [sessionId], 'logout');
+    if (revoked === 0) {
+      return res.status(404).json({ status: 'error', message: 'Session not found' });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: sessionId === req.sessionFamily
+        ? 'Current session signed out'
+        : 'Session signed out'
+    });
+  } catch (error) {
+    console.error('Revoke Session Error:', error);
+    res.status(500).json({ status: 'error', message: 'Server error' });
+  }
+};
+
+/**
+ * @desc    Sign out every session except the current one
+ * @route   DELETE /api/v1/users/sessions
+ * @access  Private
+ */
+exports.revokeOtherSessions = async (req, res) => {
+  try {
+    const revoked = await tokenService.revokeAllSessions(req.user._id, 'logout_all', {
+      except: req.sessionFamily
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: revoked > 0
+        ? `Signed out of ${revoked} other session${revoked > 1 ? 's' : ''}`
+        : 'No other active sessions',
+      data: { revoked }
+    });
+  } catch (error) {
+    console.error('Revoke Other Sessions Error:', error);
+    res.status(500).json({ status: 'error', message: 'Server error' });
+  }
 };
\ No newline at end of file
@@ -2,14 +2,50 @@
 const VoiceCall = require('../models/VoiceCall');
 const User = require('../models/User');
 const agoraService = require('../services/agoraService');
+const agoraConfig = require('../config/agora');
+const callService = require('../services/callService');
+const permissionService = require('../services/permissionService');
+const socketManager = require('../socket/socketManager');
 const { v4: uuidv4 } = require('uuid');
 
+const { EVENTS } = socketManager;
+
+// Helper: Record the attempt as 'busy' and send the structured busy response
+const respondBusy = async (res, callFields, busy) => {
+  const call = await VoiceCall.create({
+    ...callFields,
+    status: 'busy',
+    endTime: new Date()
+  });
+
+  return res.status(409).json({
+    status: 'error',
+    code: 'USER_BUSY',
+    message: busy.party === 'caller'
+      ? 'You are already on another call'
+      : 'User is busy on another call',
+    data: {
+      callId: call.callId,
+      status: call.status,
+      busyParty: busy.party
+    }
+  });
+};
+
 // @desc    Initiate a voice call (Admin to User)
 // @route   POST /api/v1/voice-calls/initiate
 // @access  Private (Admin only)
+// @body    onBusy: 'reject' (default) | 'preempt' | 'queue' — what to do if the receiver is on a call
 exports.initiateCall = async (req, res, next) => {
   try {
-    const { receiverId, receiverPhone } = req.body;
+    const { receiverId, receiverPhone, onBusy = 'reject' } = req.body;
+
+    if (!['reject', 'preempt', 'queue'].includes(onBusy)) {
+      return res.status(400).json({
+        status: 'error',
+        message: "onBusy must be 'reject', 'preempt' or 'queue'"
+      });
+    }
 
     // Validate receiver exists
     const receiver = await User.findById(receiverId);
@@ -27,17 +63,20 @@ exports.initiateCall = async (req, res, next) => {
     // Generate Agora token for caller (admin)
     const callerToken = agoraService.generateRtcToken(
       channelName,
-      req.user.agoraUid || 0
+      req.user.agoraUid || 0,
+      'publisher',
+      'admin_to_user'
     );
 
     // Generate Agora token for receiver
     const receiverToken = agoraService.generateRtcToken(
       channelName,
-      receiver.agoraUid
+      receiver.agoraUid,
+      'publisher',
+      'admin_to_user'
     );
 
-    // Create call record
-    const call = await VoiceCall.create({
+    const callFields = {
       callId,
       channelName,
       caller: req.user.id,
@@ -45,12 +84,57 @@ exports.initiateCall = async (req, res, next) => {
       callerPhone: req.user.phone,
       receiverPhone: receiverPhone || receiver.phone,
       callType: 'admin_to_user',
-      status: 'initiated',
       agoraToken: callerToken
+    };
+
+    const busy = await callService.checkBusy(req.user.id, receiverId);
+
+    // The admin can't pre-empt or queue behind their own call
+    if (busy && (busy.party === 'caller' || onBusy === 'reject')) {
+      return respondBusy(res, callFields, busy);
+    }
+
+    if (busy && onBusy === 'queue') {
+      const queuedCall = await VoiceCall.create({
+        ...callFields,
+        status: 'queued',
+        queuedBehind: busy.activeCall.callId
+      });
+
+      return res.status(202).json({
+        status: 'success',
+        message: 'Receiver is busy. Call queued and will ring when they are free',
+        data: {
+          call: {
+            callId: queuedCall.callId,
+            channelName: queuedCall.channelName,
+            status: queuedCall.status,
+            queuedBehind: queuedCall.queuedBehind,
+            receiverId: receiver._id,
+            receiverName: receiver.name,
+            receiverPhone: receiver.phone
+          },
+          callerToken,
+          agoraAppId: process.env.AGORA_APP_ID
+        }
+      });
+    }
+
+    if (busy && onBusy === 'preempt') {
+      await callService.preemptCall(busy.activeCall, req.user.id);
+    }
+
+    // Create call record
+    const call = await VoiceCall.create({
+      ...callFields,
+      status: 'initiated'
     });
 
-    // TODO: Send push notification to receiver with call details
-    // notificationService.sendCallNotification(receiver, call, receiverToken);
+    // Ring the receiver over the socket gateway with their own token
+    callService.signalIncomingCall(call, req.user, receiverToken);
+
+    // Wake the receiver's device in case the app is in the background
+    const pushDelivered = await callService.pushIncomingCall(receiver, call, receiverToken);
 
     res.status(200).json({
       status: 'success',
@@ -64,7 +148,7 @@ exports.initiateCall = async (req, res, next) => {
           receiverPhone: receiver.phone
         },
         callerToken,
-        receiverToken, // Send this to receiver via push notification
+        pushDelivered,
         agoraAppId: process.env.AGORA_APP_ID
       }
     });
@@ -104,16 +188,19 @@ exports.userToUserCall = async (req, res, next) => {
     // Generate Agora tokens
     const callerToken = agoraService.generateRtcToken(
       channelName,
-      req.user.agoraUid
+      req.user.agoraUid,
+      'publisher',
+      'user_to_user'
     );
 
     const receiverToken = agoraService.generateRtcToken(
       channelName,
-      receiver.agoraUid
+      receiver.agoraUid,
+      'publisher',
+      'user_to_user'
     );
 
-    // Create call record
-    const call = await VoiceCall.create({
+    const callFields = {
       callId,
       channelName,
       caller: req.user.id,
@@ -121,12 +208,26 @@ exports.userToUserCall = async (req, res, next) => {
       callerPhone: req.user.phone,
       receiverPhone: receiver.phone,
       callType: 'user_to_user',
-      status: 'ringing',
       agoraToken: callerToken
+    };
+
+    // Either party already on a call → record a 'busy' outcome
+    const busy = await callService.checkBusy(req.user.id, receiverId);
+    if (busy) {
+      return respondBusy(res, callFields, busy);
+    }
+
+    // Create call record
+    const call = await VoiceCall.create({
+      ...callFields,
+      status: 'ringing'
     });
 
-    // TODO: Send push notification to receiver
-    // notificationService.sendCallNotification(receiver, call, receiverToken);
+    // Ring the receiver over the socket gateway with their own token
+    callService.signalIncomingCall(call, req.user, receiverToken);
+
+    // Wake the receiver's device in case the app is in the background
+    const pushDelivered = await callService.pushIncomingCall(receiver, call, receiverToken);
 
     res.status(200).json({
       status: 'success',
@@ -142,6 +243,7 @@ exports.userToUserCall = async (req, res, next) => {
           }
         },
         token: callerToken,
+        pushDelivered,
         agoraAppId: process.env.AGORA_APP_ID
       }
     });
@@ -165,25 +267,44 @@ exports.answerCall = async (req, res, next) => {
       });
     }
 
-    // Verify the user is the receiver
-    if (call.receiver.toString() !== req.user.id) {
+    // Verify the user is the receiver (group calls are joined, not answered)
+    if (!call.receiver || call.receiver.toString() !== req.user.id) {
       return res.status(403).json({
         status: 'error',
         message: 'Not authorized to answer this call'
       });
     }
 
+    if (!['initiated', 'ringing'].includes(call.status)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Call is already ${call.status}`
+      });
+    }
+
     // Update call status
     call.status = 'answered';
     call.startTime = new Date();
+    call.answeredAt = call.startTime;
     await call.save();
 
+    // Compliance: admin_to_user calls are recorded from the moment they're answered
+    // (started in the background: the Cloud Recording API must not hold up the answer)
+    callService.startCallRecording(call);
+
     // Generate token for receiver
     const token = agoraService.generateRtcToken(
       call.channelName,
-      req.user.agoraUid
+      req.user.agoraUid,
+      'publisher',
+      call.callType
     );
 
+    callService.signalCallParties(call, EVENTS.CALL_ANSWERED, {
+      answeredBy: req.user.id,
+      startTime: call.startTime
+    });
+
     res.status(200).json({
       status: 'success',
       message: 'Call answered',
@@ -213,31 +334,58 @@ exports.endCall = async (req, res, next) => {
       });
     }
 
-    // Verify user is part of the call
+    // Verify user is part of the call (only the host can end a group call)
+    const isGroup = call.callType === 'group';
     if (call.caller.toString() !== req.user.id && 
-        call.receiver.toString() !== req.user.id) {
+        (isGroup || call.receiver.toString() !== req.user.id)) {
       return res.status(403).json({
         status: 'error',
-        message: 'Not authorized to end this call'
+        message: isGroup
+          ? 'Only the host can end a group call'
+          : 'Not authorized to end this call'
+      });
+    }
+
+    if (['ended', 'missed', 'rejected', 'failed', 'busy'].includes(call.status)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Call is already ${call.status}`
       });
     }
 
     // Update call status
     call.status = 'ended';
     call.endTime = new Date();
-    
-    // Calculate duration
-    if (call.startTime) {
-      call.duration = Math.floor((call.endTime - call.startTime) / 1000);
+
+    if (isGroup) {
+      call.getJoinedParticipants().forEach(p => {
+        p.status = 'left';
+        p.leftAt = call.endTime;
+      });
     }
-    
+
+    // Duration (talk time since the call was answered) is set on save
     await call.save();
 
+    await callService.stopCallRecording(call);
+
+    callService.signalCallParties(call, EVENTS.CALL_ENDED, {
+      endedBy: req.user.id,
+      duration: call.duration
+    });
+
+    // Ring any admin call that was queued behind this one
+    if (!isGroup) {
+      callService.startQueuedCalls([call.caller, call.receiver])
+        .catch(err => console.error('Start queued calls error:', err));
+    }
+
     res.status(200).json({
       status: 'success',
       message: 'Call ended',
       data: {
-        duration: call.duration
+        duration: call.duration,
+        recordingUrl: call.recordingUrl
       }
     });
   } catch (error) {
@@ -261,17 +409,31 @@ exports.rejectCall = async (req, res, next) => {
     }
 
     // Verify the user is the receiver
-    if (call.receiver.toString() !== req.user.id) {
+    if (!call.receiver || call.receiver.toString() !== req.user.id) {
       return res.status(403).json({
         status: 'error',
         message: 'Not authorized to reject this call'
       });
     }
 
+    if (!['initiated', 'ringing'].includes(call.status)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Call is already ${call.status}`
+      });
+    }
+
     call.status = 'rejected';
     call.endTime = new Date();
     await call.save();
 
+    callService.signalCallParties(call, EVENTS.CALL_REJECTED, {
+      rejectedBy: req.user.id
+    });
+
+    callService.startQueuedCalls([call.caller, call.receiver])
+      .catch(err => console.error('Start queued calls error:', err));
+
     res.status(200).json({
       status: 'success',
       message: 'Call rejected'
@@ -290,24 +452,24 @@ exports.getCallHistory = async (req, res, next) => {
     const limit = parseInt(req.query.limit) || 20;
     const skip = (page - 1) * limit;
 
-    const calls = await VoiceCall.find({
+    // Group calls show up for every participant
+    const filter = {
       $or: [
         { caller: req.user.id },
-        { receiver: req.user.id }
+        { receiver: req.user.id },
+        { 'participants.user': req.user.id }
       ]
-    })
+    };
+
+    const calls = await VoiceCall.find(filter)
       .populate('caller', 'name avatar phone')
       .populate('receiver', 'name avatar phone')
+      .populate('participants.user', 'name avatar')
       .sort('-createdAt')
       .skip(skip)
       .limit(limit);
 
-    const total = await VoiceCall.countDocuments({
-      $or: [
-        { caller: req.user.id },
-        { receiver: req.user.id }
-      ]
-    });
+    const total = await VoiceCall.countDocuments(filter);
 
     res.status(200).json({
       status: 'success',
@@ -333,7 +495,8 @@ exports.getCallDetails = async (req, res, next) => {
   try {
     const call = await VoiceCall.findOne({ callId: req.params.callId })
       .populate('caller', 'name avatar phone')
-      .populate('receiver', 'name avatar phone');
+      .populate('receiver', 'name avatar phone')
+      .populate('participants.user', 'name avatar');
 
     if (!call) {
       return res.status(404).json({
@@ -342,10 +505,12 @@ exports.getCallDetails = async (req, res, next) => {
       });
     }
 
-    // Verify user is part of the call or is admin
+    // Verify user is part of the call or may view any call
+    const isParticipant = call.participants.some(p => p.user && p.user._id.toString() === req.user.id);
     if (call.caller._id.toString() !== req.user.id && 
-        call.receiver._id.toString() !== req.user.id &&
-        req.user.role !== 'admin') {
+        call.receiver?._id.toString() !== req.user.id &&
+        !isParticipant &&
+        !(await permissionService.hasPermission(req.user, 'calls.read'))) {
       return res.status(403).json({
         status: 'error',
         message: 'Not authorized to view this call'
@@ -359,4 +524,366 @@ exports.getCallDetails = async (req, res, next) => {
   } catch (error) {
     next(error);
   }
-};
\ No newline at end of file
+};
+
+// @desc    Create a group audio room and invite participants
+// @route   POST /api/v1/voice-calls/group
+// @access  Private
+exports.createGroupCall = async (req, res, next) => {
+  try {
+    const { title, participantIds = [] } = req.body;
+
+    if (!Array.isArray(participantIds)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'participantIds must be an array'
+      });
+    }
+
+    const inviteeIds = [...new Set(participantIds.map(String))].filter(id => id !== req.user.id);
+    if (inviteeIds.length + 1 > agoraConfig.groupMaxParticipants) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Group calls are limited to ${agoraConfig.groupMaxParticipants} participants`
+      });
+    }
+
+    const callId = uuidv4();
+    const channelName = `group_${callId}`;
+    const now = new Date();
+
+    const token = agoraService.generateRtcToken(channelName, req.user.agoraUid, 'publisher', 'group');
+
+    const call = await VoiceCall.create({
+      callId,
+      channelName,
+      caller: req.user.id,
+      callerPhone: req.user.phone,
+      callType: 'group',
+      title,
+      status: 'initiated',
+      startTime: now,
+      agoraToken: token,
+      participants: [{
+        user: req.user.id,
+        role: 'host',
+        status: 'joined',
+        invitedAt: now,
+        joinedAt: now
+      }]
+    });
+
+    const invited = inviteeIds.length > 0
+      ? await callService.inviteToGroupCall(call, req.user, inviteeIds)
+      : [];
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Group call created',
+      data: {
+        call: {
+          callId: call.callId,
+          channelName: call.channelName,
+          title: call.title,
+          invited
+        },
+        token,
+        agoraAppId: process.env.AGORA_APP_ID
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Invite more users to a group call
+// @route   POST /api/v1/voice-calls/:callId/invite
+// @access  Private (joined participants)
+exports.inviteToGroupCall = async (req, res, next) => {
+  try {
+    const { participantIds } = req.body;
+
+    if (!Array.isArray(participantIds) || participantIds.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'participantIds array is required'
+      });
+    }
+
+    const call = await VoiceCall.findOne({ callId: req.params.callId, callType: 'group' });
+    if (!call) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Group call not found'
+      });
+    }
+
+    if (call.status === 'ended') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Group call has ended'
+      });
+    }
+
+    const me = call.getParticipant(req.user.id);
+    if (!me || me.status !== 'joined') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Only participants in the call can invite others'
+      });
+    }
+
+    // Users already on the participant list (invited or left) are invited again without taking a new seat
+    const inviteeIds = [...new Set(participantIds.map(String))];
+    const newIds = inviteeIds.filter(id => !call.getParticipant(id));
+    if (call.participants.length + newIds.length > agoraConfig.groupMaxParticipants) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Group calls are limited to ${agoraConfig.groupMaxParticipants} participants`
+      });
+    }
+
+    const invited = await callService.inviteToGroupCall(call, req.user, inviteeIds);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Participants invited',
+      data: { invited }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Join a group call (invited users only)
+// @route   POST /api/v1/voice-calls/:callId/join
+// @access  Private
+exports.joinGroupCall = async (req, res, next) => {
+  try {
+    const call = await VoiceCall.findOne({ callId: req.params.callId, callType: 'group' });
+    if (!call) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Group call not found'
+      });
+    }
+
+    if (call.status === 'ended') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Group call has ended'
+      });
+    }
+
+    const participant = call.getParticipant(req.user.id);
+    if (!participant) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You are not invited to this call'
+      });
+    }
+
+    participant.status = 'joined';
+    participant.joinedAt = new Date();
+    participant.leftAt = undefined;
+
+    // The room is live once someone besides the host is in it
+    if (call.status === 'initiated' && call.getJoinedParticipants().length > 1) {
+      call.status = 'answered';
+      call.answeredAt = new Date();
+    }
+    await call.save();
+
+    const token = agoraService.generateRtcToken(call.channelName, req.user.agoraUid, 'publisher', 'group');
+
+    callService.signalCallParties(call, EVENTS.GROUP_CALL_JOINED, {
+      user: {
+        id: req.user._id,
+        name: req.user.name,
+        avatar: req.user.avatar
+      }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Joined group call',
+      data: {
+        channelName: call.channelName,
+        token,
+        participants: call.getJoinedParticipants().map(p => p.user),
+        agoraAppId: process.env.AGORA_APP_ID
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Leave a group call (ends it when the last participant leaves)
+// @route   POST /api/v1/voice-calls/:callId/leave
+// @access  Private
+exports.leaveGroupCall = async (req, res, next) => {
+  try {
+    const call = await VoiceCall.findOne({ callId: req.params.callId, callType: 'group' });
+    if (!call) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Group call not found'
+      });
+    }
+
+    const participant = call.getParticipant(req.user.id);
+    if (!participant || participant.status !== 'joined') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'You are not in this call'
+      });
+    }
+
+    participant.status = 'left';
+    participant.leftAt = new Date();
+
+    const ended = call.getJoinedParticipants().length === 0;
+    if (ended) {
+      call.status = 'ended';
+      call.endTime = participant.leftAt;
+    }
+    await call.save();
+
+    callService.signalCallParties(call, ended ? EVENTS.CALL_ENDED : EVENTS.GROUP_CALL_LEFT, {
+      userId: req.user.id,
+      ...(ended && { duration: call.duration })
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: ended ? 'Left group call. Call ended' : 'Left group call',
+      data: { ended }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Re-issue an Agora token before it expires (long calls)
+// @route   POST /api/v1/voice-calls/:callId/refresh-token
+// @access  Private (active participants of an answered call)
+exports.refreshCallToken = async (req, res, next) => {
+  try {
+    const call = await VoiceCall.findOne({ callId: req.params.callId });
+    if (!call) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Call not found'
+      });
+    }
+
+    // A group room stays 'initiated' until someone joins the host, who may be waiting in it
+    const hostWaiting = call.callType === 'group' && call.status === 'initiated' &&
+      call.getParticipant(req.user.id)?.role === 'host';
+
+    if (call.status !== 'answered' && !hostWaiting) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Tokens can only be refreshed for an answered call'
+      });
+    }
+
+    const isActiveParticipant = call.callType === 'group'
+      ? call.getParticipant(req.user.id)?.status === 'joined'
+      : [call.caller.toString(), call.receiver.toString()].includes(req.user.id);
+
+    if (!isActiveParticipant) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not an active participant of this call'
+      });
+    }
+
+    const token = agoraService.generateRtcToken(
+      call.channelName,
+      req.user.agoraUid,
+      'publisher',
+      call.callType
+    );
+
+    const { tokenExpirationTime, privilegeExpirationTime } = agoraService.getExpiration(call.callType);
+    const now = Date.now();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Token refreshed',
+      data: {
+        channelName: call.channelName,
+        token,
+        tokenExpiresAt: new Date(now + tokenExpirationTime * 1000),
+        privilegeExpiresAt: new Date(now + privilegeExpirationTime * 1000),
+        agoraAppId: process.env.AGORA_APP_ID
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Submit post-call quality feedback (rating, issues, network stats)
+// @route   POST /api/v1/voice-calls/:callId/feedback
+// @access  Private (call parties, once the call has ended)
+exports.submitCallFeedback = async (req, res, next) => {
+  try {
+    const { rating, issues = [], comment, networkType, networkStats } = req.body;
+
+    const call = await VoiceCall.findOne({ callId: req.params.callId });
+    if (!call) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Call not found'
+      });
+    }
+
+    const isParty = call.caller.toString() === req.user.id ||
+      call.receiver?.toString() === req.user.id ||
+      !!call.getParticipant(req.user.id);
+
+    if (!isParty) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not authorized to rate this call'
+      });
+    }
+
+    if (call.status !== 'ended') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Feedback can only be submitted after the call has ended'
+      });
+    }
+
+    const entry = {
+      user: req.user.id,
+      rating,
+      issues: [...new Set(issues)],
+      comment,
+      networkType,
+      networkStats,
+      submittedAt: new Date()
+    };
+
+    // One survey per party: resubmitting replaces the earlier answer
+    const index = call.feedback.findIndex(f => f.user.toString() === req.user.id);
+    if (index > -1) {
+      call.feedback.set(index, entry);
+    } else {
+      call.feedback.push(entry);
+    }
+    await call.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Thanks for your feedback',
+      data: { feedback: entry }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,73 @@
+// src/jobs/callTimeoutScheduler.js
+const cron = require('node-cron');
+const callService = require('../services/callService');
+const agoraConfig = require('../config/agora');
+
+class CallTimeoutScheduler {
+  /**
+   * Initialize all cron jobs
+   */
+  static init() {
+    console.log('Initializing call cron jobs...');
+
+    this.scheduleMissedCallDetector();
+    this.scheduleRecordingSync();
+
+    console.log(' Call cron jobs initialized');
+  }
+
+  /**
+   * Move unanswered (and long-queued) calls to 'missed' every 15 seconds
+   */
+  static scheduleMissedCallDetector() {
+    cron.schedule('*/15 * * * * *', async () => {
+      try {
+        const results = await callService.expireUnansweredCalls();
+
+        if (results.length > 0) {
+          console.log(`Marked ${results.length} unanswered calls as missed`);
+        }
+      } catch (error) {
+        console.error('Error detecting missed calls:', error);
+      }
+    });
+
+    console.log(`Missed call detector initialized (ring timeout ${agoraConfig.ringTimeout}s, queue timeout ${agoraConfig.queueTimeout}s)`);
+  }
+
+  /**
+   * Keep the file URL of running recordings and stop the ones left on ended calls, every minute
+   */
+  static scheduleRecordingSync() {
+    cron.schedule('* * * * *', async () => {
+      try {
+        const { updated, stopped } = await callService.syncRecordings();
+
+        if (updated > 0 || stopped > 0) {
+          console.log(`Recording sync: ${updated} file URLs stored, ${stopped} recordings stopped`);
+        }
+      } catch (error) {
+        console.error('Error syncing call recordings:', error);
+      }
+    });
+
+    console.log('Recording sync initialized');
+  }
+
+  /**
+   * Manual trigger for testing
+   */
+  static async triggerMissedCallDetection(timeoutSeconds) {
+    try {
+      console.log('Manually triggering missed call detection...');
+      const results = await callService.expireUnansweredCalls(timeoutSeconds);
+      console.log(`Marked ${results.length} unanswered calls as missed`);
+      return results;
+    } catch (error) {
+      console.error(' Error triggering missed call detection:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = CallTimeoutScheduler;
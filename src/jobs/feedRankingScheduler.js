@@ -0,0 +1,68 @@
+// src/jobs/feedRankingScheduler.js
+const cron = require('node-cron');
+const rankingService = require('../services/rankingService');
+const feedConfig = require('../config/feed');
+
+class FeedRankingScheduler {
+  /**
+   * Initialize all cron jobs
+   */
+  static init() {
+    console.log('Initializing feed ranking cron jobs...');
+
+    this.schedulePostScoring();
+    this.scheduleAffinityComputation();
+
+    console.log(' Feed ranking cron jobs initialized');
+  }
+
+  /**
+   * Recompute "For You" post scores
+   */
+  static schedulePostScoring() {
+    cron.schedule(feedConfig.ranking.postScoreCron, async () => {
+      try {
+        const { scored, expired } = await rankingService.scorePosts();
+        console.log(`Scored ${scored} posts for the For You feed (${expired} aged out)`);
+      } catch (error) {
+        console.error('Error scoring posts:', error);
+      }
+    });
+
+    console.log(`Post scoring initialized (${feedConfig.ranking.postScoreCron})`);
+  }
+
+  /**
+   * Recompute viewer → author affinities for recently active users
+   */
+  static scheduleAffinityComputation() {
+    cron.schedule(feedConfig.affinity.affinityCron, async () => {
+      try {
+        const { users } = await rankingService.computeAffinities();
+        console.log(`Computed feed affinities for ${users} active users`);
+      } catch (error) {
+        console.error('Error computing feed affinities:', error);
+      }
+    });
+
+    console.log(`Affinity computation initialized (${feedConfig.affinity.affinityCron})`);
+  }
+
+  /**
+   * Manual trigger for testing
+   */
+  static async triggerRanking() {
+    try {
+      console.log('Manually triggering feed ranking...');
+      const posts = await rankingService.scorePosts();
+      const affinities = await rankingService.computeAffinities();
+      console.log(`Scored ${posts.scored} posts, computed affinities for ${affinities.users} users`);
+      return { posts, affinities };
+    } catch (error) {
+      console.error(' Error triggering feed ranking:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = FeedRankingScheduler;
@@ -1,13 +1,70 @@
 // src/middleware/authMiddleware.js
 const jwt = require('jsonwebtoken');
-const crypto = require('crypto');
 const User = require('../models/User');
+const tokenService = require('../services/tokenService');
+const externalIdentityService = require('../services/externalIdentityService');
+const permissionService = require('../services/permissionService');
+const authConfig = require('../config/auth');
 
-// Helper: Generate a random secure password
-const generateRandomPassword = () => {
-  return crypto.randomBytes(16).toString('hex');
+// Build an auth error carrying the HTTP status to respond with
+const authError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
 };
 
+// Verify a bearer token and resolve who it belongs to.
+// Our own access tokens are tied to a refresh-token session; tokens from the configured
+// external issuer are verified against its keys and auto-register / sync the user.
+// @returns {Object} { user, sessionId, sessionFamily, mfaVerified }
+const authenticateToken = async (token) => {
+  const unverified = jwt.decode(token);
+  if (!unverified) {
+    throw authError(401, 'Token is invalid or expired');
+  }
+
+  let context;
+  if (externalIdentityService.isExternalToken(unverified)) {
+    const { user, profile } = await externalIdentityService.authenticate(token);
+    context = { user, sessionId: null, sessionFamily: null, mfaVerified: profile.mfa };
+  } else {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Reject tokens once their session is rotated, logged out or revoked
+    if (!decoded.sid || !(await tokenService.isSessionActive(decoded.sid))) {
+      throw authError(401, 'Session has been revoked. Please login again.');
+    }
+
+    const user = await User.findById(decoded.id);
+    if (!user) {
+      throw authError(401, 'User no longer exists');
+    }
+
+    context = {
+      user,
+      sessionId: decoded.sid,
+      sessionFamily: decoded.fam || null,
+      mfaVerified: decoded.mfa === true
+    };
+  }
+
+  // Check if user account is active
+  if (!context.user.isActive) {
+    throw authError(401, 'Your account has been deactivated');
+  }
+
+  return context;
+};
+
+// Resolve the user a JWT belongs to, and whether its session passed 2FA.
+// Used by the Socket.IO handshake (`protect` reads the full context).
+const resolveUserFromToken = async (token) => {
+  const { user, mfaVerified } = await authenticateToken(token);
+  return { user, mfaVerified };
+};
+
+exports.resolveUserFromToken = resolveUserFromToken;
+
 // Protect routes - verify JWT token
 exports.protect = async (req, res, next) => {
   console.log('🔐 [AUTH] Protect middleware called for:', req.method, req.originalUrl);
@@ -27,79 +84,23 @@ exports.protect = async (req, res, next) => {
     }
 
     try {
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      console.log('Decoded Token:', decoded); 
-     
-      // Get user data from token
-      const tokenUserData = decoded.userData;
-      
-      if (!tokenUserData || !tokenUserData.email) {
-        return res.status(401).json({
-          status: 'error',
-          message: 'Invalid token structure - missing user data'
-        });
-      }
+      const { user, sessionId, sessionFamily, mfaVerified } = await authenticateToken(token);
 
-      // Try to find existing user by email
-      let user = await User.findOne({ email: tokenUserData.email });
-  
-      // If user doesn't exist, auto-register them from the external server token data
-      if (!user) {
-        console.log('🆕 User not found in DB, auto-registering from external token...');
-        
-        try {
-          // Extract user data from the decoded token
-          const newUserData = {
-            userName: tokenUserData.userName || `USER_${Date.now()}`,
-            name: tokenUserData.name || tokenUserData.userName || 'Unknown',
-            email: tokenUserData.email,
-            phone: tokenUserData.mobile || tokenUserData.phone || null,
-            password: generateRandomPassword(), // Generate random password since auth is via external token
-            role: (tokenUserData.role && ['USER', 'ADMIN'].includes(tokenUserData.role.toUpperCase())) 
-              ? tokenUserData.role.toUpperCase() 
-              : 'USER',
-            avatar: tokenUserData.profileImage || 'https://via.placeholder.com/150',
-            isActive: true
-          };
-
-          user = await User.create(newUserData);
-          
-          console.log('✅ User auto-registered successfully:', {
-            id: user._id,
-            email: user.email,
-            userName: user.userName,
-            role: user.role
-          });
-        } catch (createError) {
-          console.error('❌ Auto-registration failed:', createError);
-          return res.status(500).json({
-            status: 'error',
-            message: 'Failed to auto-register user from external token'
-          });
-        }
-      }
+      // Attach user to request, with the refresh-token session (absent on external tokens)
+      req.user = user;
+      req.sessionId = sessionId;
+      req.sessionFamily = sessionFamily;
+      req.mfaVerified = mfaVerified;
 
-      // Check if user account is active
-      if (!user.isActive) {
-        return res.status(401).json({
+      next();
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
           status: 'error',
-          message: 'Your account has been deactivated'
+          message: error.message
         });
       }
 
-      // Attach user to request
-      req.user = user;
-
-      console.log('User found:', {
-        id: req.user._id,
-        email: req.user.email,
-        role: req.user.role,
-        roleType: typeof req.user.role
-      }); // Debug
-
-      next();
-    } catch (error) {
       console.error('Token verification error:', error);
       return res.status(401).json({
         status: 'error',
@@ -111,6 +112,50 @@ exports.protect = async (req, res, next) => {
   }
 };
 
+// Attach the user when a valid token is sent; requests without one (or with a bad one)
+// continue anonymously. For public routes that personalize their response.
+exports.optionalAuth = async (req, res, next) => {
+  const header = req.headers.authorization;
+  if (!header || !header.startsWith('Bearer')) return next();
+
+  try {
+    const { user, sessionId, sessionFamily, mfaVerified } = await authenticateToken(header.split(' ')[1]);
+    req.user = user;
+    req.sessionId = sessionId;
+    req.sessionFamily = sessionFamily;
+    req.mfaVerified = mfaVerified;
+  } catch (error) {
+    // Treated as anonymous
+  }
+  next();
+};
+
+// Helper: What a privileged role still lacks to use its privileges from this session:
+// 'MFA_SETUP_REQUIRED', 'MFA_REQUIRED', or null when nothing is required
+const missingMfa = (user, mfaVerified) => {
+  if (!authConfig.twoFactor.mandatoryRoles.includes(user.role.toUpperCase())) return null;
+  if (!user.twoFactor?.enabled) return 'MFA_SETUP_REQUIRED';
+  if (!mfaVerified) return 'MFA_REQUIRED';
+  return null;
+};
+
+exports.missingMfa = missingMfa;
+
+const MFA_MESSAGES = {
+  MFA_SETUP_REQUIRED: 'Two-factor authentication must be enabled to use this route',
+  MFA_REQUIRED: 'Please login with two-factor authentication to use this route'
+};
+
+// Privileged roles only act from a session that passed 2FA.
+// Sends the 403 and returns true when the request has to stop here.
+const rejectWithoutMfa = (req, res) => {
+  const code = missingMfa(req.user, req.mfaVerified);
+  if (!code) return false;
+
+  res.status(403).json({ status: 'error', code, message: MFA_MESSAGES[code] });
+  return true;
+};
+
 // Grant access to specific roles
 exports.authorize = (...roles) => {
   return (req, res, next) => {
@@ -124,6 +169,65 @@ exports.authorize = (...roles) => {
         message: `User role '${req.user.role}' is not authorized to access this route`
       });
     }
+
+    if (rejectWithoutMfa(req, res)) return;
+    next();
+  };
+};
+
+// Grant access to roles holding every given permission (use after `protect`)
+// e.g. authorizePermission('posts.moderate')
+exports.authorizePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      if (!(await permissionService.hasPermission(req.user, ...permissions))) {
+        return res.status(403).json({
+          status: 'error',
+          code: 'PERMISSION_DENIED',
+          message: `Missing permission: ${permissions.join(', ')}`
+        });
+      }
+
+      if (rejectWithoutMfa(req, res)) return;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+// Helper: Account created before verification was required and still in its grace period
+const inVerificationGrace = (user) => {
+  const { requiredSince, graceDays } = authConfig.verification;
+  if (!requiredSince || !user.createdAt || !(user.createdAt < requiredSince)) return false;
+
+  // Imported accounts come with their legacy verification state and are gated on it
+  if (user.legacyId != null) return false;
+
+  return Date.now() < requiredSince.getTime() + graceDays * 24 * 60 * 60 * 1000;
+};
+
+// Require verified contact details (use after `protect`)
+// e.g. requireVerified('email'), requireVerified('email', 'phone')
+// Accounts in their verification grace period are not gated (see `verification` config)
+exports.requireVerified = (...channels) => {
+  const required = channels.length > 0 ? channels : ['email'];
+
+  return (req, res, next) => {
+    if (inVerificationGrace(req.user)) return next();
+
+    const missing = required.filter(channel =>
+      channel === 'phone' ? !req.user.isPhoneVerified : !req.user.isEmailVerified
+    );
+
+    if (missing.length > 0) {
+      return res.status(403).json({
+        status: 'error',
+        code: 'VERIFICATION_REQUIRED',
+        message: `Please verify your ${missing.join(' and ')} to continue`,
+        data: { required: missing }
+      });
+    }
     next();
   };
 };
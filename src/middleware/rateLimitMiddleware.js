@@ -0,0 +1,46 @@
+// src/middleware/rateLimitMiddleware.js
+const { getClientIp } = require('../services/ipAuthService');
+
+/**
+ * Fixed-window rate limiter kept in process memory (per app instance)
+ * @param {Object} options - { windowMs, max, message, keyGenerator(req) }
+ */
+exports.rateLimit = ({
+  windowMs = 15 * 60 * 1000,
+  max = 10,
+  message = 'Too many requests. Please try again later.',
+  keyGenerator = (req) => getClientIp(req)
+} = {}) => {
+  const hits = new Map();
+
+  // Drop expired windows so the map doesn't grow unbounded
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(key);
+    }
+  }, windowMs);
+  sweep.unref();
+
+  return (req, res, next) => {
+    const key = keyGenerator(req);
+    const now = Date.now();
+
+    let entry = hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+    entry.count += 1;
+
+    if (entry.count > max) {
+      res.set('Retry-After', Math.ceil((entry.resetAt - now) / 1000));
+      return res.status(429).json({
+        status: 'error',
+        message
+      });
+    }
+
+    next();
+  };
+};
@@ -50,6 +50,12 @@ const deviceTokenSchema = new mongoose.Schema({
     trim: true
   },
   
+  // Login (refresh token family) the token was registered under; revoking it deactivates the token
+  authSession: {
+    type: String,
+    index: true
+  },
+  
   // Status
   isActive: {
     type: Boolean,
@@ -108,7 +114,7 @@ deviceTokenSchema.statics.getActiveTokens = async function(userId) {
 
 // Register or update token
 deviceTokenSchema.statics.registerToken = async function(userId, tokenData) {
-  const { token, deviceType, deviceId, deviceName, deviceModel, osVersion, appVersion } = tokenData;
+  const { token, deviceType, deviceId, deviceName, deviceModel, osVersion, appVersion, authSession } = tokenData;
   
   // Check if token already exists
   let deviceToken = await this.findOne({ token });
@@ -122,6 +128,7 @@ deviceTokenSchema.statics.registerToken = async function(userId, tokenData) {
     deviceToken.deviceModel = deviceModel || deviceToken.deviceModel;
     deviceToken.osVersion = osVersion || deviceToken.osVersion;
     deviceToken.appVersion = appVersion || deviceToken.appVersion;
+    deviceToken.authSession = authSession || deviceToken.authSession;
     deviceToken.isActive = true;
     deviceToken.lastUsedAt = new Date();
     deviceToken.failureCount = 0;
@@ -137,7 +144,8 @@ deviceTokenSchema.statics.registerToken = async function(userId, tokenData) {
       deviceName,
       deviceModel,
       osVersion,
-      appVersion
+      appVersion,
+      authSession
     });
   }
   
@@ -0,0 +1,49 @@
+// src/models/FeedAffinity.js
+const mongoose = require('mongoose');
+
+// How much a user engages with an author (recomputed by FeedRankingScheduler)
+const feedAffinitySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  score: {
+    type: Number,
+    default: 0
+  },
+  // Signals behind the score (shown as ranking reasons)
+  follows: {
+    type: Boolean,
+    default: false
+  },
+  likes: {
+    type: Number,
+    default: 0
+  },
+  dwellSeconds: {
+    type: Number,
+    default: 0
+  },
+  computedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Score from the run before, kept so For You cursors ranked with it keep their order
+  previous: {
+    score: { type: Number },
+    computedAt: { type: Date }
+  }
+}, {
+  timestamps: true
+});
+
+feedAffinitySchema.index({ user: 1, author: 1 }, { unique: true });
+feedAffinitySchema.index({ user: 1, score: -1 });
+
+module.exports = mongoose.model('FeedAffinity', feedAffinitySchema);
@@ -2,10 +2,25 @@
 const mongoose = require('mongoose');
 
 const loginHistorySchema = new mongoose.Schema({
+  // Unknown for failed attempts on an email that has no account
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function() { return this.success; }
+  },
+  // Email the attempt was made with
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  success: {
+    type: Boolean,
+    default: true
+  },
+  failureReason: {
+    type: String,
+    enum: ['invalid_credentials', 'account_deactivated', 'locked_out', 'invalid_2fa_code']
   },
   ip: String,
   device: String,
@@ -19,10 +34,47 @@ const loginHistorySchema = new mongoose.Schema({
     lng: Number
   },
   userAgent: String,
+  // Device & location the client sent with the login (display only, never used for risk)
+  reported: {
+    device: String,
+    location: {
+      country: String,
+      state: String,
+      city: String,
+      pincode: String,
+      formattedAddress: String,
+      lat: Number,
+      lng: Number
+    }
+  },
+  // Suspicious login assessment (successful logins only)
+  risk: {
+    score: { type: Number, default: 0 },
+    level: {
+      type: String,
+      enum: ['low', 'medium', 'high'],
+      default: 'low'
+    },
+    flags: [{
+      type: String,
+      enum: ['new_device', 'new_country', 'impossible_travel']
+    }],
+    details: {
+      previousCountry: String,
+      distanceKm: Number,
+      elapsedHours: Number,
+      speedKmh: Number
+    },
+    notifiedAt: Date
+  },
   loginAt: {
     type: Date,
     default: Date.now
   }
 });
 
+loginHistorySchema.index({ user: 1, loginAt: -1 });
+loginHistorySchema.index({ success: 1, loginAt: -1 });
+loginHistorySchema.index({ 'risk.level': 1, loginAt: -1 });
+
 module.exports = mongoose.model('LoginHistory', loginHistorySchema);
\ No newline at end of file
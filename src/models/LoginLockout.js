@@ -0,0 +1,71 @@
+// src/models/LoginLockout.js
+const mongoose = require('mongoose');
+
+// Failed login counter for one account (email) or one client IP
+const loginLockoutSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['account', 'ip'],
+    required: true
+  },
+  // Normalized email or IP address
+  value: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Failures in the current window
+  failures: {
+    type: Number,
+    default: 0
+  },
+  windowStartedAt: {
+    type: Date
+  },
+  lastFailureAt: {
+    type: Date
+  },
+
+  // Lockout
+  lockedUntil: {
+    type: Date
+  },
+  lockCount: {
+    type: Number,
+    default: 0
+  },
+  lastLockedAt: {
+    type: Date
+  },
+
+  // Admin clearance
+  clearedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  clearedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// ──────────────────────────────
+// Indexes
+// ──────────────────────────────
+loginLockoutSchema.index({ type: 1, value: 1 }, { unique: true });
+loginLockoutSchema.index({ lockedUntil: -1 });
+
+// ──────────────────────────────
+// Instance Methods
+// ──────────────────────────────
+loginLockoutSchema.methods.isLocked = function() {
+  return !!this.lockedUntil && this.lockedUntil > new Date();
+};
+
+module.exports = mongoose.model('LoginLockout', loginLockoutSchema);
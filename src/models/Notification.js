@@ -36,7 +36,7 @@ const notificationSchema = new mongoose.Schema({
   // Notification Type
   type: {
     type: String,
-    enum: ['general', 'post', 'comment', 'like', 'follow', 'admin', 'system'],
+    enum: ['general', 'post', 'comment', 'like', 'follow', 'mention', 'admin', 'system', 'call', 'security'],
     default: 'general',
     required: true
   },
@@ -0,0 +1,54 @@
+// src/models/OtpCode.js
+const mongoose = require('mongoose');
+
+const otpCodeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['password_reset', 'email_verification', 'phone_verification'],
+    required: true
+  },
+
+  // HMAC of the code (the code itself is only ever sent to the user)
+  codeHash: {
+    type: String,
+    required: true
+  },
+
+  // Delivery
+  channel: {
+    type: String,
+    enum: ['email', 'sms'],
+    required: true
+  },
+  destination: {
+    type: String,
+    required: true
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  consumedAt: {
+    type: Date
+  },
+  requestIp: String
+}, {
+  timestamps: true
+});
+
+// ──────────────────────────────
+// Indexes
+// ──────────────────────────────
+otpCodeSchema.index({ user: 1, purpose: 1, createdAt: -1 });
+
+module.exports = mongoose.model('OtpCode', otpCodeSchema);
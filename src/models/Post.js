@@ -1,6 +1,53 @@
 // src/models/Post.js
 const mongoose = require('mongoose');
 
+// Structured trade idea attached to a post (prices in the instrument's quote currency)
+const tradeIdeaSchema = new mongoose.Schema({
+  symbol: {
+    type: String,
+    required: [true, 'Trade idea symbol is required'],
+    trim: true,
+    uppercase: true,
+    set: v => (typeof v === 'string' ? v.trim().replace(/^\$/, '') : v),
+    match: [/^[A-Z][A-Z0-9]{1,14}$/, 'Invalid trade idea symbol']
+  },
+  direction: {
+    type: String,
+    enum: ['long', 'short'],
+    required: [true, 'Trade idea direction is required']
+  },
+  entry: {
+    type: Number,
+    required: [true, 'Trade idea entry price is required'],
+    min: [0, 'Entry price cannot be negative']
+  },
+  stopLoss: {
+    type: Number,
+    min: [0, 'Stop loss cannot be negative'],
+    validate: {
+      // Long: stop below entry; short: stop above entry
+      validator: function (v) {
+        return this.direction === 'short' ? v > this.entry : v < this.entry;
+      },
+      message: 'Stop loss must be below entry for a long and above entry for a short'
+    }
+  },
+  takeProfit: {
+    type: Number,
+    min: [0, 'Take profit cannot be negative'],
+    validate: {
+      validator: function (v) {
+        return this.direction === 'short' ? v < this.entry : v > this.entry;
+      },
+      message: 'Take profit must be above entry for a long and below entry for a short'
+    }
+  },
+  timeframe: {
+    type: String,
+    enum: ['M1', 'M5', 'M15', 'M30', 'H1', 'H4', 'D1', 'W1', 'MN1']
+  }
+}, { _id: false });
+
 const postSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -15,6 +62,28 @@ const postSchema = new mongoose.Schema({
       maxlength: [5000, 'Post text cannot exceed 5000 characters']
     }
   },
+  // Parsed from content.text on create/update (lowercase, without '#')
+  hashtags: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  // $CASHTAG instruments from content.text plus the trade idea's symbol (uppercase, without '$')
+  symbols: [{
+    type: String,
+    uppercase: true,
+    trim: true
+  }],
+  // @userName mentions resolved to users; notified once the post is live
+  mentions: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    userName: String,
+    notifiedAt: Date
+  }],
   postType: {
     type: String,
     enum: ['text', 'image', 'video', 'poll', 'mixed'],
@@ -38,6 +107,10 @@ const postSchema = new mongoose.Schema({
       type: String
     }
   }],
+  tradeIdea: {
+    type: tradeIdeaSchema,
+    default: undefined
+  },
   poll: {
     question: {
       type: String,
@@ -110,6 +183,21 @@ const postSchema = new mongoose.Schema({
   },
   reviewedAt: {
     type: Date
+  },
+  // "For You" score and the signals behind it (recomputed by FeedRankingScheduler)
+  ranking: {
+    score: { type: Number, default: 0 },
+    recency: { type: Number, default: 0 },     // decay factor, 1 = brand new
+    engagement: { type: Number, default: 0 },
+    dwell: { type: Number, default: 0 },
+    avgDwellSeconds: { type: Number, default: 0 },
+    views: { type: Number, default: 0 },       // post_detail visits
+    computedAt: { type: Date },
+    // Score from the run before, kept so For You cursors ranked with it keep their order
+    previous: {
+      score: { type: Number },
+      computedAt: { type: Date }
+    }
   }
 }, {
   timestamps: true
@@ -124,6 +212,16 @@ postSchema.index({ status: 1, createdAt: -1 });        // For admin dashboard
 postSchema.index({ status: 1, visibility: 1 });       // For feed queries
 postSchema.index({ 'likes.user': 1 });
 postSchema.index({ 'poll.options.votes.user': 1 });
+postSchema.index({ status: 1, 'ranking.score': -1 });  // For the "For You" feed
+postSchema.index({ 'ranking.computedAt': -1 });        // Latest scoring run (For You cursor snapshot)
+postSchema.index({ 'ranking.previous.computedAt': -1 });  // Previous scoring run still kept
+postSchema.index({ hashtags: 1, createdAt: -1 });       // Hashtag pages & trending
+postSchema.index({ 'mentions.user': 1 });
+postSchema.index({ symbols: 1, createdAt: -1 });        // Symbol pages & most discussed
+postSchema.index(                                       // Full-text search
+  { 'content.text': 'text', hashtags: 'text' },
+  { weights: { hashtags: 3, 'content.text': 1 }, name: 'post_text_search' }
+);
 
 // ──────────────────────────────
 // Virtuals
@@ -144,6 +242,12 @@ postSchema.pre('save', function (next) {
   if (this.isModified('status') && (this.status === 'live' || this.status === 'rejected')) {
     this.reviewedAt = new Date();
   }
+
+  // A trade idea always lists its post on the instrument's symbol page
+  const ideaSymbol = this.tradeIdea?.symbol;
+  if (ideaSymbol && !this.symbols.includes(ideaSymbol)) {
+    this.symbols.push(ideaSymbol);
+  }
   next();
 });
 
@@ -0,0 +1,82 @@
+// src/models/RefreshToken.js
+const mongoose = require('mongoose');
+
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // SHA-256 of the opaque token handed to the client (the raw value is never stored)
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Every token rotated from the same login shares a family; reuse revokes the whole family
+  family: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  // The login passed two-factor authentication (carried over on rotation)
+  mfa: {
+    type: Boolean,
+    default: false
+  },
+
+  // Client Info
+  ip: String,
+  userAgent: String,
+  device: String,
+
+  lastUsedAt: {
+    type: Date
+  },
+
+  // Revocation
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: ['rotated', 'logout', 'logout_all', 'reuse_detected', 'deactivated', 'password_change', 'password_reset', 'mfa_enabled']
+  },
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefreshToken'
+  },
+  // The successor's raw token, encrypted with this (retired) token: lets a concurrent refresh
+  // inside the grace window receive the same successor
+  successorToken: {
+    type: String,
+    select: false
+  }
+}, {
+  timestamps: true
+});
+
+// ──────────────────────────────
+// Indexes
+// ──────────────────────────────
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+
+// ──────────────────────────────
+// Instance Methods
+// ──────────────────────────────
+
+// Usable for refresh / as the session behind an access token
+refreshTokenSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
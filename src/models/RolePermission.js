@@ -0,0 +1,28 @@
+// src/models/RolePermission.js
+const mongoose = require('mongoose');
+const { ROLES, PERMISSIONS } = require('../config/permissions');
+
+// Admin override of a role's permissions (roles without a document use the config defaults)
+const rolePermissionSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: ROLES,
+    required: true,
+    unique: true
+  },
+  permissions: {
+    type: [{
+      type: String,
+      enum: Object.keys(PERMISSIONS)
+    }],
+    default: []
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('RolePermission', rolePermissionSchema);
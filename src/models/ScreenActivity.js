@@ -25,6 +25,12 @@ const screenActivitySchema = new mongoose.Schema({
   
   screenRoute: String, 
   screenTitle: String,
+
+  // Post shown on post_detail (dwell time feeds the "For You" ranking)
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  },
   
   // Navigation Flow
   previousScreen: String,
@@ -106,6 +112,7 @@ screenActivitySchema.index({ user: 1, enteredAt: -1 });
 screenActivitySchema.index({ session: 1, enteredAt: 1 });
 screenActivitySchema.index({ screenName: 1, enteredAt: -1 });
 screenActivitySchema.index({ user: 1, screenName: 1, enteredAt: -1 });
+screenActivitySchema.index({ post: 1, enteredAt: -1 }, { partialFilterExpression: { post: { $exists: true } } });
 
 // Method to calculate and update duration
 screenActivitySchema.methods.exitScreen = async function(nextScreen) {
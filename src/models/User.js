@@ -2,6 +2,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const authConfig = require('../config/auth');
+const { ROLES } = require('../config/permissions');
 
 const userSchema = new mongoose.Schema({
   userName: {
@@ -35,13 +37,52 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['USER', 'ADMIN'],
+    enum: ROLES,
     default: 'USER'
   },
   isActive: {
     type: Boolean,
     default: true
   },
+  // Contact verification (OTP confirmed); a new phone number must be verified again
+  isEmailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: { type: Date },
+  isPhoneVerified: {
+    type: Boolean,
+    default: false
+  },
+  phoneVerifiedAt: { type: Date },
+  // TOTP two-factor authentication (secrets are AES-encrypted, backup codes SHA-256 hashed)
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    enabledAt: { type: Date },
+    secret: { type: String, select: false },
+    pendingSecret: { type: String, select: false }, // enrollment not confirmed yet
+    backupCodes: { type: [String], select: false },
+    lastUsedStep: { type: Number, select: false } // replay protection
+  },
+  // Identity at the upstream issuer (set for users auto-registered from its tokens)
+  externalIssuer: { type: String, trim: true },
+  externalId: { type: String, trim: true },
+  // Imported from the legacy trading-platform export (users.json)
+  legacyId: {
+    type: Number,
+    unique: true,
+    sparse: true
+  },
+  countryCode: { type: String, trim: true },
+  isKycVerified: {
+    type: Boolean,
+    default: false
+  },
+  isIb: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: { type: Date }, // account was deleted upstream
   agoraUid: {
     type: Number,
     unique: true,
@@ -74,6 +115,11 @@ const userSchema = new mongoose.Schema({
   timestamps: true
 });
 
+userSchema.index(
+  { externalIssuer: 1, externalId: 1 },
+  { unique: true, partialFilterExpression: { externalId: { $type: 'string' } } }
+);
+
 // Password Hashing
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -87,11 +133,17 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-userSchema.methods.generateAuthToken = function() {
+// Short-lived access token bound to a refresh-token session (`sid`) so it can be revoked.
+// `fam` is the login the session belongs to; it survives rotation.
+// `mfa` marks sessions that passed the second factor.
+userSchema.methods.generateAuthToken = function({ sessionId, sessionFamily, mfa = false } = {}) {
   return jwt.sign(
     { 
       id: this._id, 
       role: this.role,
+      sid: sessionId,
+      fam: sessionFamily,
+      mfa,
       userData: {
         email: this.email,
         name: this.name,
@@ -99,7 +151,7 @@ userSchema.methods.generateAuthToken = function() {
       }
     },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE || '7d' }
+    { expiresIn: authConfig.accessTokenExpire }
   );
 };
 
@@ -84,6 +84,7 @@ const userSessionSchema = new mongoose.Schema({
   
   // Additional Metadata
   fcmToken: String, // For push notifications
+  authSession: String, // Login (refresh token family) this tracking session ran under
   language: String,
   referrer: String,
   
@@ -99,6 +100,7 @@ const userSessionSchema = new mongoose.Schema({
 
 // Indexes for better query performance
 userSessionSchema.index({ user: 1, startTime: -1 });
+userSessionSchema.index({ user: 1, authSession: 1 });
 userSessionSchema.index({ status: 1, lastActivityTime: -1 });
 userSessionSchema.index({ 'location.country': 1, 'location.city': 1 });
 userSessionSchema.index({ 'device.type': 1, 'device.os': 1 });
@@ -1,6 +1,78 @@
 // src/models/VoiceCall.js
 const mongoose = require('mongoose');
 
+// One-to-one fields are not required for group calls
+const requiredUnlessGroup = function() {
+  return this.callType !== 'group';
+};
+
+const participantSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['host', 'participant'],
+    default: 'participant'
+  },
+  status: {
+    type: String,
+    enum: ['invited', 'joined', 'left'],
+    default: 'invited'
+  },
+  invitedAt: {
+    type: Date,
+    default: Date.now
+  },
+  joinedAt: {
+    type: Date
+  },
+  leftAt: {
+    type: Date
+  }
+}, { _id: false });
+
+// Post-call survey, one entry per party
+const feedbackSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  rating: {
+    type: Number,
+    min: 1,
+    max: 5,
+    required: true
+  },
+  issues: [{
+    type: String,
+    enum: ['echo', 'drop', 'latency', 'noise', 'no_audio', 'one_way_audio', 'choppy']
+  }],
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Comment cannot exceed 500 characters']
+  },
+  // Client-reported network stats for the call
+  networkType: {
+    type: String, // 'wifi', '4g', '5g', '3g', '2g'
+    trim: true
+  },
+  networkStats: {
+    jitter: Number, // ms
+    packetLoss: Number, // percentage (0-100)
+    mos: Number, // 1-5
+    rtt: Number // ms
+  },
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const voiceCallSchema = new mongoose.Schema({
   callId: {
     type: String,
@@ -18,33 +90,50 @@ const voiceCallSchema = new mongoose.Schema({
   receiver: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: requiredUnlessGroup
   },
   callerPhone: {
     type: String,
-    required: true
+    required: requiredUnlessGroup
   },
   receiverPhone: {
     type: String,
-    required: true
+    required: requiredUnlessGroup
   },
   callType: {
     type: String,
-    enum: ['admin_to_user', 'user_to_user'],
+    enum: ['admin_to_user', 'user_to_user', 'group'],
     default: 'user_to_user'
   },
+  // Group calls only (the host is also stored as `caller`)
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Title cannot exceed 100 characters']
+  },
+  participants: [participantSchema],
   status: {
     type: String,
-    enum: ['initiated', 'ringing', 'answered', 'ended', 'missed', 'rejected', 'failed'],
+    enum: ['initiated', 'ringing', 'answered', 'ended', 'missed', 'rejected', 'failed', 'busy', 'queued'],
     default: 'initiated'
   },
   startTime: {
     type: Date,
     default: Date.now
   },
+  // Set once the call is picked up (startTime is reset at that point too)
+  answeredAt: {
+    type: Date
+  },
   endTime: {
     type: Date
   },
+  endReason: {
+    type: String // e.g. 'preempted' when an admin call took over
+  },
+  queuedBehind: {
+    type: String // callId of the active call a queued admin call waits for
+  },
   duration: {
     type: Number, // in seconds
     default: 0
@@ -54,15 +143,28 @@ const voiceCallSchema = new mongoose.Schema({
   },
   recordingUrl: {
     type: String
-  }
+  },
+  // Agora Cloud Recording session (admin_to_user calls)
+  recording: {
+    resourceId: String,
+    sid: String,
+    status: {
+      type: String,
+      enum: ['recording', 'stopped', 'failed']
+    },
+    startedAt: Date,
+    stoppedAt: Date,
+    error: String
+  },
+  feedback: [feedbackSchema]
 }, {
   timestamps: true
 });
 
-// Calculate duration before saving
+// Calculate duration before saving (talk time only: calls hung up while ringing stay at 0)
 voiceCallSchema.pre('save', function(next) {
-  if (this.endTime && this.startTime) {
-    this.duration = Math.floor((this.endTime - this.startTime) / 1000);
+  if (this.endTime && this.answeredAt) {
+    this.duration = Math.floor((this.endTime - this.answeredAt) / 1000);
   }
   next();
 });
@@ -71,5 +173,16 @@ voiceCallSchema.pre('save', function(next) {
 voiceCallSchema.index({ caller: 1, createdAt: -1 });
 voiceCallSchema.index({ receiver: 1, createdAt: -1 });
 voiceCallSchema.index({ status: 1 });
+voiceCallSchema.index({ 'participants.user': 1, createdAt: -1 });
+
+// Find a group participant entry
+voiceCallSchema.methods.getParticipant = function(userId) {
+  return this.participants.find(p => p.user.toString() === userId.toString());
+};
+
+// Users currently in the group channel
+voiceCallSchema.methods.getJoinedParticipants = function() {
+  return this.participants.filter(p => p.status === 'joined');
+};
 
 module.exports = mongoose.model('VoiceCall', voiceCallSchema);
\ No newline at end of file
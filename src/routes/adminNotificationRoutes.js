@@ -1,6 +1,6 @@
 // src/routes/adminNotificationRoutes.js
 const express = require('express');
-const { protect, authorize } = require('../middleware/authMiddleware');
+const { protect, authorizePermission } = require('../middleware/authMiddleware');
 const {
   sendNotificationToUser,
   sendNotificationToMultipleUsers,
@@ -28,38 +28,42 @@ const { validate } = require('../middleware/validationMiddleware');
 
 const router = express.Router();
 
-// All routes require authentication and admin role
+// All routes require authentication; each one requires its own permission
 router.use(protect);
-router.use(authorize('ADMIN'));
 
 /**
  * SEND NOTIFICATIONS
  */
 router.post('/send', 
+  authorizePermission('notifications.send'),
   sendToUserValidation, 
   validate, 
   sendNotificationToUser
 );
 
 router.post('/send-multiple', 
+  authorizePermission('notifications.send'),
   sendToMultipleValidation, 
   validate, 
   sendNotificationToMultipleUsers
 );
 
 router.post('/broadcast', 
+  authorizePermission('notifications.broadcast'),
   broadcastValidation, 
   validate, 
   broadcastNotification
 );
 
 router.post('/send-by-role', 
+  authorizePermission('notifications.broadcast'),
   sendByRoleValidation, 
   validate, 
   sendNotificationByRole
 );
 
 router.post('/schedule', 
+  authorizePermission('notifications.broadcast'),
   scheduleNotificationValidation, 
   validate, 
   scheduleNotification
@@ -69,20 +73,23 @@ router.post('/schedule',
  * NOTIFICATION MANAGEMENT
  */
 router.get('/', 
+  authorizePermission('notifications.read'),
   adminListValidation, 
   validate, 
   getAllNotifications
 );
 
-router.get('/stats', getNotificationStats);
+router.get('/stats', authorizePermission('notifications.read'), getNotificationStats);
 
 router.delete('/:id', 
+  authorizePermission('notifications.manage'),
   notificationIdParam, 
   validate, 
   deleteNotification
 );
 
 router.post('/:id/retry', 
+  authorizePermission('notifications.manage'),
   notificationIdParam, 
   validate, 
   retryFailedNotification
@@ -91,6 +98,6 @@ router.post('/:id/retry',
 /**
  * DEVICE TOKEN MANAGEMENT
  */
-router.get('/devices', getAllDeviceTokens);
+router.get('/devices', authorizePermission('notifications.read'), getAllDeviceTokens);
 
 module.exports = router;
\ No newline at end of file
@@ -1,6 +1,6 @@
 // src/routes/adminRoutes.js
 const express = require('express');
-const { protect, authorize } = require('../middleware/authMiddleware');
+const { protect, authorizePermission } = require('../middleware/authMiddleware');
 const {
   getStats,
   getAdminPosts,
@@ -12,32 +12,83 @@ const {
   updateUserRole,
   deleteUser
 } = require('../controllers/adminController');
+const {
+  getAllCalls,
+  getCallAnalytics,
+  getCallQualityStats
+} = require('../controllers/adminCallController');
+const {
+  callAnalyticsValidation,
+  adminCallListValidation
+} = require('../validators/voiceCallValidator');
+const {
+  getLockouts,
+  clearLockout,
+  getFailedLogins,
+  getSuspiciousLogins
+} = require('../controllers/adminSecurityController');
+const {
+  lockoutListValidation,
+  lockoutIdParam,
+  suspiciousLoginValidation
+} = require('../validators/adminSecurityValidator');
+const {
+  getRoles,
+  updateRolePermissions,
+  resetRolePermissions
+} = require('../controllers/adminRoleController');
+const {
+  roleParam,
+  rolePermissionsValidation
+} = require('../validators/adminRoleValidator');
+const { validate } = require('../middleware/validationMiddleware');
 
 const router = express.Router();
 
-// All routes require authentication and admin role
+// All routes require authentication; each one requires its own permission
 router.use(protect);
-router.use(authorize('ADMIN'));
 
 // ──────────────────────────────
 // DASHBOARD & STATS
 // ──────────────────────────────
-router.get('/stats', getStats);
+router.get('/stats', authorizePermission('dashboard.read'), getStats);
 
 // ──────────────────────────────
 // POST MANAGEMENT
 // ──────────────────────────────
-router.get('/posts', getAdminPosts);
-router.put('/posts/:id/approve', approvePost);
-router.put('/posts/:id/reject', rejectPost);
+router.get('/posts', authorizePermission('posts.moderate'), getAdminPosts);
+router.put('/posts/:id/approve', authorizePermission('posts.moderate'), approvePost);
+router.put('/posts/:id/reject', authorizePermission('posts.moderate'), rejectPost);
 
 // ──────────────────────────────
 // USER MANAGEMENT
 // ──────────────────────────────
-router.get('/users', getAllUsers);
-router.get('/users/:id', getUserById);
-router.put('/users/:id/status', updateUserStatus);
-router.put('/users/:id/role', updateUserRole);
-router.delete('/users/:id', deleteUser);
+router.get('/users', authorizePermission('users.read'), getAllUsers);
+router.get('/users/:id', authorizePermission('users.read'), getUserById);
+router.put('/users/:id/status', authorizePermission('users.manage'), updateUserStatus);
+router.put('/users/:id/role', authorizePermission('users.roles'), updateUserRole);
+router.delete('/users/:id', authorizePermission('users.manage'), deleteUser);
+
+// ──────────────────────────────
+// ROLES & PERMISSIONS
+// ──────────────────────────────
+router.get('/roles', authorizePermission('roles.manage'), getRoles);
+router.put('/roles/:role/permissions', authorizePermission('roles.manage'), rolePermissionsValidation, validate, updateRolePermissions);
+router.delete('/roles/:role/permissions', authorizePermission('roles.manage'), roleParam, validate, resetRolePermissions);
+
+// ──────────────────────────────
+// VOICE CALLS
+// ──────────────────────────────
+router.get('/calls', authorizePermission('calls.read'), adminCallListValidation, validate, getAllCalls);
+router.get('/calls/analytics', authorizePermission('calls.read'), adminCallListValidation, validate, getCallAnalytics);
+router.get('/calls/quality', authorizePermission('calls.read'), callAnalyticsValidation, validate, getCallQualityStats);
+
+// ──────────────────────────────
+// LOGIN SECURITY
+// ──────────────────────────────
+router.get('/security/lockouts', authorizePermission('security.read'), lockoutListValidation, validate, getLockouts);
+router.delete('/security/lockouts/:id', authorizePermission('security.manage'), lockoutIdParam, validate, clearLockout);
+router.get('/security/failed-logins', authorizePermission('security.read'), getFailedLogins);
+router.get('/security/suspicious-logins', authorizePermission('security.read'), suspiciousLoginValidation, validate, getSuspiciousLogins);
 
 module.exports = router;
\ No newline at end of file
@@ -1,6 +1,6 @@
 // src/routes/adminTrackingRoutes.js
 const express = require('express');
-const { protect, authorize } = require('../middleware/authMiddleware');
+const { protect, authorizePermission } = require('../middleware/authMiddleware');
 const {
   getActiveSessions,
   getAllSessions,
@@ -20,9 +20,9 @@ const {
 
 const router = express.Router();
 
-// All routes require admin authentication
+// All routes require authentication and the tracking permission
 router.use(protect);
-router.use(authorize('ADMIN'));
+router.use(authorizePermission('tracking.read'));
 
 /**
  * DASHBOARD STATS (Add this at the top for easy access)
@@ -5,26 +5,82 @@ const {
   getMe,
   updateProfile,
   registerAdmin,
-  registerWithRole  
+  registerWithRole,
+  refreshToken,
+  logout,
+  changePassword,
+  forgotPassword,
+  resetPassword,
+  sendVerificationCode,
+  confirmVerification,
+  loginTwoFactor,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  verifyTwoFactorSetup,
+  disableTwoFactor,
+  regenerateBackupCodes
 } = require('../controllers/authController');
 const { protect } = require('../middleware/authMiddleware');
+const { rateLimit } = require('../middleware/rateLimitMiddleware');
 const {
   registerValidation,
   loginValidation,
   updateProfileValidation,
-  registerWithRoleValidation 
+  registerWithRoleValidation,
+  refreshTokenValidation,
+  logoutValidation,
+  changePasswordValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation,
+  sendVerificationValidation,
+  confirmVerificationValidation,
+  loginTwoFactorValidation,
+  twoFactorCodeValidation,
+  disableTwoFactorValidation
 } = require('../validators/authValidator');
 
 const router = express.Router();
 
+// Per-IP limits on the password reset flow (per-user limits live in otpService)
+const forgotPasswordLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  message: 'Too many password reset requests. Please try again later.'
+});
+const resetPasswordLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: 'Too many password reset attempts. Please try again later.'
+});
+const loginTwoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: 'Too many two-factor attempts. Please try again later.'
+});
+
 // Public Routes
 router.post('/register', registerValidation, register);
 router.post('/login', loginValidation, login);
+router.post('/login/2fa', loginTwoFactorLimiter, loginTwoFactorValidation, loginTwoFactor);
 router.post('/register-admin', registerAdmin);
 router.post('/register-with-role', registerWithRoleValidation, registerWithRole); // <-- New route
+router.post('/refresh', refreshTokenValidation, refreshToken);
+router.post('/forgot-password', forgotPasswordLimiter, forgotPasswordValidation, forgotPassword);
+router.post('/reset-password', resetPasswordLimiter, resetPasswordValidation, resetPassword);
 
 // Protected Routes
 router.get('/me', protect, getMe);
 router.put('/update-profile', protect, updateProfileValidation, updateProfile);
+router.post('/logout', protect, logoutValidation, logout);
+router.put('/change-password', protect, changePasswordValidation, changePassword);
+router.post('/verify/:channel/send', protect, sendVerificationValidation, sendVerificationCode);
+router.post('/verify/:channel/confirm', protect, confirmVerificationValidation, confirmVerification);
+
+// Two-Factor Authentication
+router.get('/2fa', protect, getTwoFactorStatus);
+router.post('/2fa/setup', protect, setupTwoFactor);
+router.post('/2fa/verify', protect, twoFactorCodeValidation, verifyTwoFactorSetup);
+router.post('/2fa/disable', protect, disableTwoFactorValidation, disableTwoFactor);
+router.post('/2fa/backup-codes', protect, twoFactorCodeValidation, regenerateBackupCodes);
 
 module.exports = router;
\ No newline at end of file
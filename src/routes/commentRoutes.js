@@ -8,7 +8,7 @@ const {
   deleteComment,
   likeComment
 } = require('../controllers/commentController');
-const { protect } = require('../middleware/authMiddleware');
+const { protect, optionalAuth } = require('../middleware/authMiddleware');
 const {
   createCommentValidation,
   commentIdParam
@@ -17,8 +17,8 @@ const {
 const router = express.Router();
 
 // Public
-router.get('/post/:postId', getPostComments);
-router.get('/:commentId/replies', getCommentReplies);
+router.get('/post/:postId', optionalAuth, getPostComments);
+router.get('/:commentId/replies', optionalAuth, getCommentReplies);
 
 // Protected
 router.post('/', protect, createCommentValidation, createComment);
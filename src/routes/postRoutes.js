@@ -3,6 +3,12 @@ const express = require('express');
 const {
   createPost,
   getPosts,
+  getForYouPosts,
+  getHashtagPosts,
+  getTrendingHashtags,
+  getSymbolPosts,
+  getTrendingSymbols,
+  searchPosts,
   getPost,
   updatePost,
   deletePost,
@@ -13,9 +19,17 @@ const {
   sharePost
 } = require('../controllers/postController');
 
-const { protect } = require('../middleware/authMiddleware');
+const { protect, optionalAuth, requireVerified } = require('../middleware/authMiddleware');
 const { uploadMultiple, handleMulterError } = require('../middleware/uploadMiddleware');
-const { createPostValidation } = require('../validators/postValidator');
+const {
+  createPostValidation,
+  feedValidation,
+  hashtagParam,
+  symbolParam,
+  trendingValidation,
+  searchValidation
+} = require('../validators/postValidator');
+const { validate } = require('../middleware/validationMiddleware');
 
 const router = express.Router();
 
@@ -23,18 +37,25 @@ const router = express.Router();
 // IMPORTANT: Specific routes FIRST!
 // ──────────────────────────────
 router.get('/my-posts', protect, getMyPosts);           // ← MUST be BEFORE /:id
-router.get('/user/:userId', getUserPosts);
+router.get('/user/:userId', optionalAuth, getUserPosts);
+router.get('/for-you', optionalAuth, feedValidation, validate, getForYouPosts);
+router.get('/search', optionalAuth, searchValidation, feedValidation, validate, searchPosts);
+router.get('/hashtags/trending', trendingValidation, validate, getTrendingHashtags);  // ← before /hashtags/:tag
+router.get('/hashtags/:tag', optionalAuth, hashtagParam, feedValidation, validate, getHashtagPosts);
+router.get('/symbols/trending', trendingValidation, validate, getTrendingSymbols);    // ← before /symbols/:symbol
+router.get('/symbols/:symbol', optionalAuth, symbolParam, feedValidation, validate, getSymbolPosts);
 
 // Public routes
-router.get('/', getPosts);
+router.get('/', optionalAuth, feedValidation, validate, getPosts);
 
 // This must come AFTER all specific routes!
-router.get('/:id', getPost);                            // ← Now safe
+router.get('/:id', optionalAuth, getPost);              // ← Now safe
 
 // Protected routes
 router.post(
   '/',
   protect,
+  requireVerified('email'),
   uploadMultiple,
   handleMulterError,
   createPostValidation,
@@ -12,13 +12,18 @@ const {
   getUserFollowers,
   getUserFollowing,
   getFollowStatus,
-  getLoginHistory
+  getLoginHistory,
+  getActiveSessions,
+  revokeSession,
+  revokeOtherSessions
 } = require('../controllers/userController');
 
 const {
   updateProfileValidation,
-  userIdParam
+  userIdParam,
+  sessionIdParam
 } = require('../validators/userValidator');
+const { validate } = require('../middleware/validationMiddleware');
 
 const router = express.Router();
 
@@ -52,4 +57,11 @@ router.get('/following/:userId', userIdParam, getUserFollowing);
 router.get('/follow-status/:userId', userIdParam, getFollowStatus);
 router.get('/login-history', getLoginHistory);
 
+/**
+ * ACTIVE SESSIONS (where you're logged in)
+ */
+router.get('/sessions', getActiveSessions);
+router.delete('/sessions', revokeOtherSessions);
+router.delete('/sessions/:sessionId', sessionIdParam, validate, revokeSession);
+
 module.exports = router;
\ No newline at end of file
@@ -7,19 +7,37 @@ const {
   endCall,
   rejectCall,
   getCallHistory,
-  getCallDetails
+  getCallDetails,
+  createGroupCall,
+  inviteToGroupCall,
+  joinGroupCall,
+  leaveGroupCall,
+  refreshCallToken,
+  submitCallFeedback
 } = require('../controllers/voiceCallController');
-const { protect, authorize } = require('../middleware/authMiddleware');
+const { protect, authorizePermission, requireVerified } = require('../middleware/authMiddleware');
+const {
+  callFeedbackValidation,
+  createGroupCallValidation,
+  groupInviteValidation
+} = require('../validators/voiceCallValidator');
+const { validate } = require('../middleware/validationMiddleware');
 
 const router = express.Router();
 
 router.use(protect);
 
-router.post('/initiate', authorize('admin'), initiateCall);
-router.post('/user-call', userToUserCall);
+router.post('/initiate', authorizePermission('calls.initiate'), initiateCall);
+router.post('/user-call', requireVerified('phone'), userToUserCall);
+router.post('/group', createGroupCallValidation, validate, createGroupCall);
 router.post('/:callId/answer', answerCall);
 router.post('/:callId/end', endCall);
 router.post('/:callId/reject', rejectCall);
+router.post('/:callId/invite', groupInviteValidation, validate, inviteToGroupCall);
+router.post('/:callId/join', joinGroupCall);
+router.post('/:callId/leave', leaveGroupCall);
+router.post('/:callId/refresh-token', refreshCallToken);
+router.post('/:callId/feedback', callFeedbackValidation, validate, submitCallFeedback);
 router.get('/history', getCallHistory);
 router.get('/:callId', getCallDetails);
 
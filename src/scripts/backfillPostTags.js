@@ -0,0 +1,35 @@
+// src/scripts/backfillPostTags.js
+// Parse hashtags, $cashtag symbols and @mentions of posts created before they were parsed on save.
+// Usage: npm run backfill:post-tags -- [--dry-run] [--batch-size=500]
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const postTagService = require('../services/postTagService');
+
+const parseArgs = (argv) => {
+  const options = { dryRun: false, batchSize: 500 };
+
+  for (const arg of argv) {
+    if (arg === '--dry-run') options.dryRun = true;
+    else if (arg.startsWith('--batch-size=')) options.batchSize = parseInt(arg.split('=')[1]) || options.batchSize;
+  }
+  return options;
+};
+
+const run = async () => {
+  const options = parseArgs(process.argv.slice(2));
+
+  await connectDB();
+
+  const report = await postTagService.backfillPosts(options);
+
+  console.log(`\n${report.dryRun ? '🔎 Dry run' : '✅ Backfill finished'}: ${report.scanned} posts scanned, ${report.updated} ${report.dryRun ? 'to update' : 'updated'}`);
+};
+
+run()
+  .catch((error) => {
+    console.error('❌ Post tag backfill failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
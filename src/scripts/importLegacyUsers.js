@@ -0,0 +1,64 @@
+// src/scripts/importLegacyUsers.js
+// Import the legacy trading-platform export into User.
+// Usage: npm run import:users -- [file=users.json] [--dry-run] [--include-deleted] [--grant-admin] [--media-base-url=https://...]
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const userImportService = require('../services/userImportService');
+
+const parseArgs = (argv) => {
+  const options = { file: 'users.json', dryRun: false, includeDeleted: false, grantAdmin: false, mediaBaseUrl: process.env.LEGACY_MEDIA_BASE_URL };
+
+  for (const arg of argv) {
+    if (arg === '--dry-run') options.dryRun = true;
+    else if (arg === '--include-deleted') options.includeDeleted = true;
+    else if (arg === '--grant-admin') options.grantAdmin = true;
+    else if (arg.startsWith('--media-base-url=')) options.mediaBaseUrl = arg.split('=').slice(1).join('=');
+    else if (!arg.startsWith('--')) options.file = arg;
+  }
+  return options;
+};
+
+const run = async () => {
+  const { file, ...options } = parseArgs(process.argv.slice(2));
+
+  const records = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+  if (!Array.isArray(records)) {
+    throw new Error(`${file} must contain a JSON array of users`);
+  }
+
+  await connectDB();
+
+  const report = await userImportService.importUsers(records, options);
+
+  console.log(`\n${report.dryRun ? '🔎 Dry run' : '✅ Import finished'}: ${report.total} records`);
+  console.log(`   created: ${report.created}, updated: ${report.updated}, linked by email: ${report.linked}, deactivated: ${report.deactivated}`);
+  console.log(`   skipped: ${report.skipped.length}, conflicts: ${report.conflicts.length}`);
+
+  if (report.conflicts.length > 0) {
+    console.log('\nConflicts:');
+    report.conflicts.forEach(c => console.log(`   #${c.legacyId} ${c.email} (${c.userName}) - ${c.field}: ${c.reason}`));
+  }
+  if (report.skipped.length > 0) {
+    console.log('\nSkipped:');
+    report.skipped.forEach(s => console.log(`   #${s.legacyId} ${s.email} - ${s.reason}`));
+  }
+  if (report.adminNotGranted.length > 0) {
+    console.log('\nADMIN in the export, created as USER (re-run with --grant-admin or promote them in the admin API):');
+    report.adminNotGranted.forEach(u => console.log(`   #${u.legacyId} ${u.email}`));
+  }
+  if (report.mfaNotMigrated.length > 0) {
+    console.log('\nTwo-factor authentication must be set up again for:');
+    report.mfaNotMigrated.forEach(u => console.log(`   #${u.legacyId} ${u.email}`));
+  }
+};
+
+run()
+  .catch((error) => {
+    console.error('❌ Legacy user import failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -10,9 +10,13 @@ const connectDB = require('./config/database');
 require('./config/cloudinary');
 
 // ──────────────────────────────
-// Initialize Notification Scheduler
+// Initialize Schedulers
 // ──────────────────────────────
 const NotificationScheduler = require('./jobs/notificationScheduler');
+const CallTimeoutScheduler = require('./jobs/callTimeoutScheduler');
+const FeedRankingScheduler = require('./jobs/feedRankingScheduler');
+const socketManager = require('./socket/socketManager');
+const messageService = require('./services/messageService');
 
 const PORT = process.env.PORT || 5001;
 
@@ -24,13 +28,26 @@ connectDB().then(() => {
   // Initialize Cron Jobs after DB connection
   // ──────────────────────────────
   NotificationScheduler.init();
+  CallTimeoutScheduler.init();
+  FeedRankingScheduler.init();
 });
 
 // Start Server
 const server = app.listen(PORT, () => {
   console.log(`Server running on port ${PORT} in ${process.env.NODE_ENV || 'development'} mode`);
+
+  // Verification and password reset codes can't be delivered without these
+  const missingTransports = messageService.getMissingTransports();
+  if (missingTransports.length > 0) {
+    console.error(`❌ No message adapter is registered for: ${missingTransports.join(', ')} (MESSAGE_TRANSPORT=console is only honored with NODE_ENV=development)`);
+  }
 });
 
+// ──────────────────────────────
+// Real-time Gateway (Socket.IO on the same HTTP server)
+// ──────────────────────────────
+socketManager.init(server);
+
 // ──────────────────────────────
 // Graceful Shutdown & Error Handling
 // ──────────────────────────────
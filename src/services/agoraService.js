@@ -1,42 +1,46 @@
 // src/services/agoraService.js
-const { RtcTokenBuilder, RtcRole } = require('agora-access-token');
+const axios = require('axios');
+const { RtcRole } = require('agora-access-token');
+// RtcTokenBuilder fixes the token expiry at 24h; build with AccessToken to control it
+const { AccessToken, priviledges: Privileges } = require('agora-access-token/src/AccessToken');
 const agoraConfig = require('../config/agora');
 
 class AgoraService {
+  constructor() {
+    // Axios-compatible client ({ post, get }) used for the Cloud Recording REST API
+    this.httpClient = axios;
+  }
+
+  /**
+   * Swap the HTTP client used for Cloud Recording (e.g. a local stub in tests)
+   * @param {Object} client - Object exposing axios-style post(url, body, config) and get(url, config)
+   */
+  setHttpClient(client) {
+    this.httpClient = client || axios;
+  }
+
+  /**
+   * Get token/privilege lifetimes for a call type
+   * @param {string} callType - 'admin_to_user', 'user_to_user' or 'group'
+   * @returns {Object} { tokenExpirationTime, privilegeExpirationTime } in seconds
+   */
+  getExpiration(callType) {
+    return agoraConfig.callTypeExpiration[callType] || {
+      tokenExpirationTime: agoraConfig.tokenExpirationTime,
+      privilegeExpirationTime: agoraConfig.privilegeExpirationTime
+    };
+  }
+
   /**
    * Generate RTC token for voice call
    * @param {string} channelName - The channel name
    * @param {number} uid - User ID (0 for auto-assign)
    * @param {string} role - 'publisher' or 'subscriber'
+   * @param {string} callType - Selects the token/privilege expiry (optional)
    * @returns {string} Agora RTC token
    */
-  generateRtcToken(channelName, uid = 0, role = 'publisher') {
-    const appId = agoraConfig.appId;
-    const appCertificate = agoraConfig.appCertificate;
-    const expirationTimeInSeconds = agoraConfig.tokenExpirationTime;
-    const currentTimestamp = Math.floor(Date.now() / 1000);
-    const privilegeExpiredTs = currentTimestamp + expirationTimeInSeconds;
-
-    // Determine role
-    const userRole = role === 'publisher' 
-      ? RtcRole.PUBLISHER 
-      : RtcRole.SUBSCRIBER;
-
-    try {
-      const token = RtcTokenBuilder.buildTokenWithUid(
-        appId,
-        appCertificate,
-        channelName,
-        uid,
-        userRole,
-        privilegeExpiredTs
-      );
-
-      return token;
-    } catch (error) {
-      console.error('Error generating Agora token:', error);
-      throw new Error('Failed to generate Agora token');
-    }
+  generateRtcToken(channelName, uid = 0, role = 'publisher', callType) {
+    return this._buildToken(channelName, uid, role, callType);
   }
 
   /**
@@ -44,36 +48,193 @@ class AgoraService {
    * @param {string} channelName - The channel name
    * @param {string} account - User account
    * @param {string} role - 'publisher' or 'subscriber'
+   * @param {string} callType - Selects the token/privilege expiry (optional)
    * @returns {string} Agora RTC token
    */
-  generateRtcTokenWithAccount(channelName, account, role = 'publisher') {
-    const appId = agoraConfig.appId;
-    const appCertificate = agoraConfig.appCertificate;
-    const expirationTimeInSeconds = agoraConfig.tokenExpirationTime;
+  generateRtcTokenWithAccount(channelName, account, role = 'publisher', callType) {
+    return this._buildToken(channelName, account, role, callType);
+  }
+
+  /**
+   * Whether Cloud Recording credentials are configured
+   * @returns {boolean}
+   */
+  isRecordingEnabled() {
+    const { customerId, customerSecret, storage } = agoraConfig.recording;
+    return !!(agoraConfig.appId && customerId && customerSecret && storage.bucket);
+  }
+
+  /**
+   * Acquire a Cloud Recording resource for a channel
+   * @param {string} channelName - The channel name
+   * @returns {string} resourceId
+   */
+  async acquireRecording(channelName) {
+    const { uid } = agoraConfig.recording;
+
+    const data = await this._recordingRequest('post', '/acquire', {
+      cname: channelName,
+      uid,
+      clientRequest: {
+        resourceExpiredHour: 24,
+        scene: 0
+      }
+    });
+
+    return data.resourceId;
+  }
+
+  /**
+   * Start recording a channel (audio only, mixed)
+   * @param {string} channelName - The channel name
+   * @param {string} resourceId - Resource from acquireRecording
+   * @returns {Object} { resourceId, sid }
+   */
+  async startRecording(channelName, resourceId) {
+    const { uid, mode, maxIdleTime, storage } = agoraConfig.recording;
+
+    const data = await this._recordingRequest('post', `/resourceid/${resourceId}/mode/${mode}/start`, {
+      cname: channelName,
+      uid,
+      clientRequest: {
+        token: this.generateRtcToken(channelName, parseInt(uid), 'subscriber', 'admin_to_user'),
+        recordingConfig: {
+          channelType: 0, // Communication
+          streamTypes: 0, // Audio only
+          maxIdleTime
+        },
+        storageConfig: storage
+      }
+    });
+
+    return { resourceId: data.resourceId, sid: data.sid };
+  }
+
+  /**
+   * Stop a recording and return the uploaded files
+   * @param {string} channelName - The channel name
+   * @param {string} resourceId - Recording resource ID
+   * @param {string} sid - Recording session ID
+   * @returns {Object} { fileList, uploadingStatus }
+   */
+  async stopRecording(channelName, resourceId, sid) {
+    const { uid, mode } = agoraConfig.recording;
+
+    const data = await this._recordingRequest('post', `/resourceid/${resourceId}/sid/${sid}/mode/${mode}/stop`, {
+      cname: channelName,
+      uid,
+      clientRequest: {}
+    });
+
+    return this._parseServerResponse(data.serverResponse);
+  }
+
+  /**
+   * Query the state of a running recording
+   * @param {string} resourceId - Recording resource ID
+   * @param {string} sid - Recording session ID
+   * @returns {Object} { status, fileList }
+   */
+  async queryRecording(resourceId, sid) {
+    const { mode } = agoraConfig.recording;
+
+    const data = await this._recordingRequest('get', `/resourceid/${resourceId}/sid/${sid}/mode/${mode}/query`);
+
+    return {
+      status: data.serverResponse?.status,
+      ...this._parseServerResponse(data.serverResponse)
+    };
+  }
+
+  /**
+   * Build the public URL of a recorded file
+   * @param {string} fileName - File name reported by Agora
+   * @returns {string|null} File URL
+   */
+  getRecordingFileUrl(fileName) {
+    if (!fileName) return null;
+    const { fileBaseUrl, storage } = agoraConfig.recording;
+    const base = fileBaseUrl || `https://${storage.bucket}.s3.amazonaws.com`;
+    return `${base.replace(/\/$/, '')}/${fileName}`;
+  }
+
+  /**
+   * Helper: Build an RTC token with separate token and privilege expiry
+   */
+  _buildToken(channelName, uidOrAccount, role, callType) {
+    const { tokenExpirationTime, privilegeExpirationTime } = this.getExpiration(callType);
     const currentTimestamp = Math.floor(Date.now() / 1000);
-    const privilegeExpiredTs = currentTimestamp + expirationTimeInSeconds;
+    const privilegeExpiredTs = currentTimestamp + privilegeExpirationTime;
 
+    // Determine role
     const userRole = role === 'publisher' 
       ? RtcRole.PUBLISHER 
       : RtcRole.SUBSCRIBER;
 
     try {
-      const token = RtcTokenBuilder.buildTokenWithAccount(
-        appId,
-        appCertificate,
+      const key = new AccessToken(
+        agoraConfig.appId,
+        agoraConfig.appCertificate,
         channelName,
-        account,
-        userRole,
-        privilegeExpiredTs
+        uidOrAccount
       );
+      key.ts = currentTimestamp + tokenExpirationTime;
 
-      return token;
+      key.addPriviledge(Privileges.kJoinChannel, privilegeExpiredTs);
+      if (userRole === RtcRole.PUBLISHER) {
+        key.addPriviledge(Privileges.kPublishAudioStream, privilegeExpiredTs);
+        key.addPriviledge(Privileges.kPublishVideoStream, privilegeExpiredTs);
+        key.addPriviledge(Privileges.kPublishDataStream, privilegeExpiredTs);
+      }
+
+      return key.build();
     } catch (error) {
       console.error('Error generating Agora token:', error);
       throw new Error('Failed to generate Agora token');
     }
   }
 
+  /**
+   * Helper: Call the Cloud Recording REST API with Basic auth
+   */
+  async _recordingRequest(method, path, body) {
+    const { baseUrl, customerId, customerSecret } = agoraConfig.recording;
+    const url = `${baseUrl}/${agoraConfig.appId}/cloud_recording${path}`;
+    const config = {
+      headers: {
+        Authorization: `Basic ${Buffer.from(`${customerId}:${customerSecret}`).toString('base64')}`,
+        'Content-Type': 'application/json'
+      },
+      timeout: 10000
+    };
+
+    try {
+      const response = method === 'get'
+        ? await this.httpClient.get(url, config)
+        : await this.httpClient.post(url, body, config);
+      return response.data;
+    } catch (error) {
+      const reason = error.response?.data?.reason || error.message;
+      console.error(`Agora Cloud Recording ${path} error:`, reason);
+      throw new Error(`Agora Cloud Recording request failed: ${reason}`);
+    }
+  }
+
+  /**
+   * Helper: Normalize fileList (string in older responses, array in newer ones)
+   */
+  _parseServerResponse(serverResponse = {}) {
+    let fileList = serverResponse.fileList || [];
+    if (typeof fileList === 'string') {
+      fileList = [{ fileName: fileList }];
+    }
+
+    return {
+      fileList,
+      uploadingStatus: serverResponse.uploadingStatus
+    };
+  }
+
   /**
    * Validate channel name
    * @param {string} channelName - The channel name to validate
@@ -0,0 +1,389 @@
+// src/services/callService.js
+const VoiceCall = require('../models/VoiceCall');
+const User = require('../models/User');
+const agoraService = require('./agoraService');
+const notificationService = require('./notificationService');
+const socketManager = require('../socket/socketManager');
+const agoraConfig = require('../config/agora');
+
+const { EVENTS } = socketManager;
+
+// Statuses in which a user is considered to be on a call
+const ACTIVE_STATUSES = ['initiated', 'ringing', 'answered'];
+
+class CallService {
+  /**
+   * Push the incoming-call signal (with the callee's own Agora token) to the receiver
+   */
+  signalIncomingCall(call, caller, receiverToken) {
+    socketManager.emitToUser(call.receiver, EVENTS.CALL_INCOMING, {
+      callId: call.callId,
+      channelName: call.channelName,
+      callType: call.callType,
+      caller: {
+        id: caller._id,
+        name: caller.name,
+        avatar: caller.avatar,
+        phone: caller.phone
+      },
+      token: receiverToken,
+      agoraAppId: process.env.AGORA_APP_ID
+    });
+  }
+
+  /**
+   * Send the incoming-call VoIP push; a push failure must not fail the call
+   * @returns {boolean} Whether at least one device received the push
+   */
+  async pushIncomingCall(receiver, call, receiverToken) {
+    try {
+      const result = await notificationService.sendCallNotification(receiver, call, receiverToken);
+      return result.success;
+    } catch (error) {
+      console.error('Incoming call push failed:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Push a call state change to both parties (every participant for group calls)
+   */
+  signalCallParties(call, event, payload = {}) {
+    const recipients = call.callType === 'group'
+      ? call.participants.map(p => p.user)
+      : [call.caller, call.receiver];
+
+    socketManager.emitToUsers(recipients, event, {
+      callId: call.callId,
+      status: call.status,
+      ...payload
+    });
+  }
+
+  /**
+   * Invite users to a group call: ring each over the socket gateway and VoIP push.
+   * Duplicates and users already in the room are skipped (they are neither re-added nor rung).
+   * @returns {Array} Invited user ids
+   */
+  async inviteToGroupCall(call, host, userIds) {
+    const inviteeIds = [...new Set(userIds.map(String))]
+      .filter(id => call.getParticipant(id)?.status !== 'joined');
+    if (inviteeIds.length === 0) return [];
+
+    const users = await User.find({ _id: { $in: inviteeIds }, isActive: true });
+
+    for (const user of users) {
+      const existing = call.getParticipant(user._id);
+      if (existing) {
+        existing.status = 'invited';
+        existing.invitedAt = new Date();
+        existing.leftAt = undefined;
+      } else {
+        call.participants.push({ user: user._id, role: 'participant' });
+      }
+    }
+    await call.save();
+
+    for (const user of users) {
+      const token = agoraService.generateRtcToken(call.channelName, user.agoraUid, 'publisher', 'group');
+
+      socketManager.emitToUser(user._id, EVENTS.GROUP_CALL_INVITE, {
+        callId: call.callId,
+        channelName: call.channelName,
+        title: call.title,
+        host: {
+          id: host._id,
+          name: host.name,
+          avatar: host.avatar
+        },
+        token,
+        agoraAppId: process.env.AGORA_APP_ID
+      });
+      await this.pushIncomingCall(user, call, token);
+    }
+
+    return users.map(u => u._id);
+  }
+
+  /**
+   * Find the call a user is currently on (ringing or answered)
+   */
+  async findActiveCall(userId) {
+    return await VoiceCall.findOne({
+      status: { $in: ACTIVE_STATUSES },
+      callType: { $ne: 'group' },
+      $or: [{ caller: userId }, { receiver: userId }]
+    }).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Check whether either party of a new call is already on another call
+   * @returns {Object|null} { party: 'caller'|'receiver', activeCall } or null
+   */
+  async checkBusy(callerId, receiverId) {
+    const callerCall = await this.findActiveCall(callerId);
+    if (callerCall) return { party: 'caller', activeCall: callerCall };
+
+    const receiverCall = await this.findActiveCall(receiverId);
+    if (receiverCall) return { party: 'receiver', activeCall: receiverCall };
+
+    return null;
+  }
+
+  /**
+   * End an active call so an admin call can take its place
+   */
+  async preemptCall(call, preemptedBy) {
+    call.status = 'ended';
+    call.endReason = 'preempted';
+    call.endTime = new Date();
+    await call.save();
+
+    await this.stopCallRecording(call);
+
+    this.signalCallParties(call, EVENTS.CALL_ENDED, {
+      endedBy: preemptedBy,
+      reason: 'preempted',
+      duration: call.duration
+    });
+
+    return call;
+  }
+
+  /**
+   * Ring the oldest queued call for each user that is now free
+   * @param {Array} userIds - Parties of a call that just finished
+   */
+  async startQueuedCalls(userIds) {
+    const started = [];
+
+    for (const userId of userIds) {
+      if (await this.findActiveCall(userId)) continue;
+
+      const call = await VoiceCall.findOneAndUpdate(
+        { receiver: userId, status: 'queued' },
+        { status: 'ringing', startTime: new Date() },
+        { new: true, sort: { createdAt: 1 } }
+      );
+
+      if (!call) continue;
+
+      const [caller, receiver] = await Promise.all([
+        User.findById(call.caller),
+        User.findById(call.receiver)
+      ]);
+
+      const receiverToken = agoraService.generateRtcToken(call.channelName, receiver.agoraUid, 'publisher', call.callType);
+
+      this.signalIncomingCall(call, caller, receiverToken);
+      socketManager.emitToUser(call.caller, EVENTS.CALL_RINGING, {
+        callId: call.callId,
+        status: call.status
+      });
+      await this.pushIncomingCall(receiver, call, receiverToken);
+
+      started.push(call.callId);
+    }
+
+    return started;
+  }
+
+  /**
+   * Start Agora Cloud Recording for an answered admin_to_user call.
+   * Runs in the background of the answer request: if the call ended while the recorder
+   * was starting, the recording is stopped right away.
+   * Never throws: a recording failure must not break the call
+   */
+  async startCallRecording(call) {
+    if (call.callType !== 'admin_to_user' || !agoraService.isRecordingEnabled()) {
+      return call;
+    }
+
+    let recording;
+    try {
+      const resourceId = await agoraService.acquireRecording(call.channelName);
+      const { sid } = await agoraService.startRecording(call.channelName, resourceId);
+
+      recording = {
+        resourceId,
+        sid,
+        status: 'recording',
+        startedAt: new Date()
+      };
+    } catch (error) {
+      console.error(`Start recording failed for call ${call.callId}:`, error.message);
+      recording = { status: 'failed', error: error.message };
+    }
+
+    try {
+      const { matchedCount } = await VoiceCall.updateOne(
+        { _id: call._id, status: 'answered' },
+        { $set: { recording } }
+      );
+      call.recording = recording;
+      if (matchedCount > 0) return call;
+
+      // The call ended while the recorder was starting
+      const ended = await VoiceCall.findById(call._id);
+      if (!ended) return call;
+      ended.recording = recording;
+      if (recording.status !== 'recording') {
+        await ended.save();
+        return ended;
+      }
+      return await this.stopCallRecording(ended);
+    } catch (error) {
+      console.error(`Saving recording failed for call ${call.callId}:`, error.message);
+      return call;
+    }
+  }
+
+  /**
+   * Stop the call's recording and store the resulting file URL.
+   * A recorder that already stopped by itself (nobody in the channel for `maxIdleTime`)
+   * can't be stopped: the file it reported while running is kept instead.
+   * Never throws: a recording failure must not break the call
+   */
+  async stopCallRecording(call) {
+    const recording = call.recording;
+    if (!recording || recording.status !== 'recording') {
+      return call;
+    }
+
+    try {
+      const { fileList } = await agoraService.stopRecording(call.channelName, recording.resourceId, recording.sid);
+
+      call.recordingUrl = this._recordingFileUrl(fileList) || call.recordingUrl;
+      call.recording.status = 'stopped';
+      call.recording.stoppedAt = new Date();
+    } catch (error) {
+      const recordingUrl = await this._queryRecordingFileUrl(call) || call.recordingUrl;
+
+      if (recordingUrl) {
+        call.recordingUrl = recordingUrl;
+        call.recording.status = 'stopped';
+        call.recording.stoppedAt = new Date();
+      } else {
+        console.error(`Stop recording failed for call ${call.callId}:`, error.message);
+        call.recording.status = 'failed';
+        call.recording.error = error.message;
+      }
+    }
+
+    await call.save();
+    return call;
+  }
+
+  /**
+   * Store the file each running recording reports, so the URL is known even if the
+   * recorder stops by itself before the call is ended. Recordings still running on a call
+   * that is over (it ended while the recorder was being saved) are stopped.
+   * @returns {Object} { updated, stopped }
+   */
+  async syncRecordings() {
+    const calls = await VoiceCall.find({ 'recording.status': 'recording' });
+    const result = { updated: 0, stopped: 0 };
+
+    for (const call of calls) {
+      if (call.status !== 'answered') {
+        await this.stopCallRecording(call);
+        result.stopped += 1;
+        continue;
+      }
+
+      const recordingUrl = await this._queryRecordingFileUrl(call);
+      if (recordingUrl && recordingUrl !== call.recordingUrl) {
+        call.recordingUrl = recordingUrl;
+        await call.save();
+        result.updated += 1;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Helper: URL of the file a running recorder reports (null when it can't be queried)
+   */
+  async _queryRecordingFileUrl(call) {
+    try {
+      const { fileList } = await agoraService.queryRecording(call.recording.resourceId, call.recording.sid);
+      return this._recordingFileUrl(fileList);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Helper: Prefer the mixed audio file over the playlist
+   */
+  _recordingFileUrl(fileList = []) {
+    const file = fileList.find(f => !f.fileName.endsWith('.m3u8')) || fileList[0];
+    return agoraService.getRecordingFileUrl(file?.fileName);
+  }
+
+  /**
+   * Mark calls that rang longer than the ring timeout, or waited in the queue longer than
+   * the queue timeout, as missed
+   * @param {number} timeoutSeconds - Ring timeout (defaults to config)
+   * @param {number} queueTimeoutSeconds - Queue timeout (defaults to config)
+   * @returns {Array} Missed call results
+   */
+  async expireUnansweredCalls(timeoutSeconds = agoraConfig.ringTimeout, queueTimeoutSeconds = agoraConfig.queueTimeout) {
+    try {
+      const cutoff = new Date(Date.now() - timeoutSeconds * 1000);
+      const queueCutoff = new Date(Date.now() - queueTimeoutSeconds * 1000);
+
+      const staleCalls = await VoiceCall.find({
+        callType: { $ne: 'group' },
+        $or: [
+          { status: { $in: ['initiated', 'ringing'] }, startTime: { $lte: cutoff } },
+          { status: 'queued', createdAt: { $lte: queueCutoff } }
+        ]
+      }).select('_id status');
+
+      const results = [];
+      for (const { _id, status } of staleCalls) {
+        // Conditional update so a call answered (or dequeued) in the meantime is left alone
+        const call = await VoiceCall.findOneAndUpdate(
+          { _id, status },
+          {
+            status: 'missed',
+            endTime: new Date(),
+            duration: 0,
+            ...(status === 'queued' && { endReason: 'queue_timeout' })
+          },
+          { new: true }
+        );
+
+        if (!call) continue;
+
+        this.signalCallParties(call, EVENTS.CALL_MISSED);
+
+        try {
+          const caller = await User.findById(call.caller).select('name userName');
+          await notificationService.sendMissedCallNotification(call, caller);
+          results.push({ callId: call.callId, success: true });
+        } catch (error) {
+          results.push({ callId: call.callId, success: false, error: error.message });
+        }
+
+        // A queued call never held the line, so nobody was freed
+        if (status === 'queued') continue;
+
+        try {
+          await this.startQueuedCalls([call.caller, call.receiver]);
+        } catch (error) {
+          console.error(`Start queued calls failed after call ${call.callId}:`, error.message);
+        }
+      }
+
+      return results;
+    } catch (error) {
+      console.error('Expire unanswered calls error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new CallService();
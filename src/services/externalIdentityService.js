@@ -0,0 +1,272 @@
+// src/services/externalIdentityService.js
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const authConfig = require('../config/auth');
+
+// Build an auth error carrying the HTTP status to respond with
+const identityError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Trust for tokens minted by the upstream identity provider:
+ * signature/issuer/audience verification, claim mapping and user sync
+ */
+class ExternalIdentityService {
+  constructor() {
+    this.httpClient = axios;
+    this.jwksCache = { keys: new Map(), fetchedAt: 0 };
+  }
+
+  /**
+   * Swap the HTTP client (axios-compatible `get`) used for JWKS
+   */
+  setHttpClient(client) {
+    this.httpClient = client;
+  }
+
+  isConfigured() {
+    const { issuer, jwksUri, publicKey, secret } = authConfig.externalIssuer;
+    return !!issuer && !!(jwksUri || publicKey || secret);
+  }
+
+  /**
+   * Whether an (unverified) token claims to come from the configured issuer
+   */
+  isExternalToken(unverifiedPayload) {
+    return this.isConfigured() && !!unverifiedPayload && unverifiedPayload.iss === authConfig.externalIssuer.issuer;
+  }
+
+  /**
+   * Verify an upstream token and return the local user it maps to (created or synced)
+   * @returns {Object} { user, profile }
+   */
+  async authenticate(token) {
+    const payload = await this.verify(token);
+    const profile = this.mapClaims(payload);
+
+    if (!profile.email) {
+      throw identityError(401, 'Invalid token structure - missing email claim');
+    }
+
+    const user = await this.syncUser(profile);
+    return { user, profile };
+  }
+
+  /**
+   * Check signature, issuer, audience, algorithm and expiry
+   */
+  async verify(token) {
+    const { issuer, audience, algorithms } = authConfig.externalIssuer;
+    const complete = jwt.decode(token, { complete: true });
+    if (!complete) {
+      throw identityError(401, 'Token is invalid or expired');
+    }
+
+    const key = await this._getVerificationKey(complete.header);
+
+    return jwt.verify(token, key, {
+      issuer,
+      ...(audience && { audience }),
+      algorithms
+    });
+  }
+
+  /**
+   * Map claims to user fields with the configured claim paths
+   */
+  mapClaims(payload) {
+    const { claims, trustedRoles } = authConfig.externalIssuer;
+    const read = (field) => this._readClaim(payload, claims[field]);
+
+    const claimedRole = typeof read('role') === 'string' ? read('role').toUpperCase() : null;
+    const amr = read('amr');
+
+    return {
+      externalId: read('subject') ? String(read('subject')) : null,
+      email: read('email') ? String(read('email')).trim().toLowerCase() : null,
+      userName: read('userName'),
+      name: read('name'),
+      phone: read('phone') ? String(read('phone')) : null,
+      avatar: read('avatar'),
+      // Never take a role from the token unless it is explicitly allow-listed
+      role: claimedRole && trustedRoles.includes(claimedRole) && User.schema.path('role').enumValues.includes(claimedRole)
+        ? claimedRole
+        : null,
+      emailVerified: this._truthy(read('emailVerified')),
+      phoneVerified: this._truthy(read('phoneVerified')),
+      mfa: Array.isArray(amr) && amr.some(method => ['mfa', 'otp'].includes(method))
+    };
+  }
+
+  /**
+   * Find the local user for an upstream identity; create it or pull profile changes
+   */
+  async syncUser(profile) {
+    const { issuer } = authConfig.externalIssuer;
+
+    let user = profile.externalId
+      ? await User.findOne({ externalIssuer: issuer, externalId: profile.externalId })
+      : null;
+
+    // Link an existing account the first time it signs in through the issuer,
+    // only on an email the issuer verified and never over another upstream identity
+    if (!user && profile.email) {
+      const existing = await User.findOne({ email: profile.email });
+
+      if (existing) {
+        if (!profile.emailVerified) {
+          throw identityError(401, 'Email is not verified by the identity provider; cannot link the existing account');
+        }
+        const linkedElsewhere = existing.externalId &&
+          (existing.externalId !== profile.externalId || existing.externalIssuer !== issuer);
+        if (linkedElsewhere) {
+          throw identityError(409, 'Account is already linked to another external identity');
+        }
+        user = existing;
+      }
+    }
+
+    if (!user) {
+      try {
+        user = await User.create({
+          userName: profile.userName || `USER_${Date.now()}`,
+          name: profile.name || profile.userName || 'Unknown',
+          email: profile.email,
+          phone: profile.phone,
+          // Random password: these users authenticate with the upstream token
+          password: crypto.randomBytes(16).toString('hex'),
+          role: profile.role || 'USER',
+          avatar: profile.avatar || undefined,
+          isActive: true,
+          externalIssuer: issuer,
+          externalId: profile.externalId,
+          isEmailVerified: profile.emailVerified,
+          emailVerifiedAt: profile.emailVerified ? new Date() : undefined,
+          isPhoneVerified: profile.phoneVerified,
+          phoneVerifiedAt: profile.phoneVerified ? new Date() : undefined
+        });
+
+        console.log('✅ User auto-registered from external issuer:', {
+          id: user._id,
+          email: user.email,
+          role: user.role
+        });
+        return user;
+      } catch (error) {
+        console.error('❌ Auto-registration failed:', error);
+        throw identityError(500, 'Failed to auto-register user from external token');
+      }
+    }
+
+    // Upstream is the source of truth for profile fields it sends
+    const updates = {};
+    if (profile.externalId && !user.externalId) {
+      updates.externalIssuer = issuer;
+      updates.externalId = profile.externalId;
+    }
+    if (profile.name && profile.name !== user.name) updates.name = profile.name;
+    if (profile.avatar && profile.avatar !== user.avatar) updates.avatar = profile.avatar;
+    if (profile.phone && profile.phone !== user.phone) {
+      updates.phone = profile.phone;
+      updates.isPhoneVerified = profile.phoneVerified;
+      updates.phoneVerifiedAt = profile.phoneVerified ? new Date() : null;
+    } else if (profile.phoneVerified && !user.isPhoneVerified) {
+      updates.isPhoneVerified = true;
+      updates.phoneVerifiedAt = new Date();
+    }
+    if (profile.emailVerified && !user.isEmailVerified) {
+      updates.isEmailVerified = true;
+      updates.emailVerifiedAt = new Date();
+    }
+    if (profile.role && profile.role !== user.role.toUpperCase()) updates.role = profile.role;
+
+    if (Object.keys(updates).length > 0) {
+      user.set(updates);
+      await user.save({ validateBeforeSave: false });
+    }
+
+    return user;
+  }
+
+  /**
+   * Helper: Key for the token's algorithm/kid (PEM key, shared secret or JWKS)
+   */
+  async _getVerificationKey(header) {
+    const { jwksUri, publicKey, secret, algorithms } = authConfig.externalIssuer;
+
+    if (!algorithms.includes(header.alg)) {
+      throw identityError(401, `Token algorithm ${header.alg} is not accepted`);
+    }
+
+    if (header.alg.startsWith('HS')) {
+      if (!secret) throw identityError(401, 'Token is invalid or expired');
+      return secret;
+    }
+
+    if (jwksUri) {
+      return await this._getJwksKey(header.kid);
+    }
+
+    if (publicKey) return publicKey;
+
+    throw identityError(401, 'Token is invalid or expired');
+  }
+
+  /**
+   * Helper: Public key from the JWKS endpoint, refetched when the cache is stale or the kid is unknown
+   */
+  async _getJwksKey(kid) {
+    const { jwksCacheMinutes } = authConfig.externalIssuer;
+    const { keys, fetchedAt } = this.jwksCache;
+    const stale = Date.now() - fetchedAt > jwksCacheMinutes * 60 * 1000;
+    // Unknown kids trigger at most one refetch per 30 seconds (key rotation)
+    const canRefetch = Date.now() - fetchedAt > 30 * 1000;
+
+    if (stale || (!keys.has(kid) && canRefetch)) {
+      await this._refreshJwks();
+    }
+
+    const current = this.jwksCache.keys;
+    const key = kid ? current.get(kid) : current.values().next().value;
+    if (!key) {
+      throw identityError(401, 'Token signing key is not recognised');
+    }
+    return key;
+  }
+
+  async _refreshJwks() {
+    const response = await this.httpClient.get(authConfig.externalIssuer.jwksUri, { timeout: 5000 });
+    const keys = new Map();
+
+    for (const jwk of response.data.keys || []) {
+      if (jwk.use && jwk.use !== 'sig') continue;
+      try {
+        keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+      } catch (error) {
+        console.error(`Skipping unusable JWKS key ${jwk.kid}:`, error.message);
+      }
+    }
+
+    this.jwksCache = { keys, fetchedAt: Date.now() };
+  }
+
+  _readClaim(payload, paths) {
+    if (!paths) return undefined;
+    for (const path of paths.split('|')) {
+      const value = path.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), payload);
+      if (value !== undefined && value !== null && value !== '') return value;
+    }
+    return undefined;
+  }
+
+  _truthy(value) {
+    return value === true || value === 1 || value === 'true' || value === '1';
+  }
+}
+
+module.exports = new ExternalIdentityService();
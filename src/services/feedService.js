@@ -0,0 +1,456 @@
+// src/services/feedService.js
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const FeedAffinity = require('../models/FeedAffinity');
+const visibilityService = require('./visibilityService');
+const feedConfig = require('../config/feed');
+
+// Home feed segments, paged in this order
+const HOME_SEGMENTS = ['following', 'others'];
+
+// Author fields shown on feed items
+const AUTHOR_FIELDS = { name: 1, avatar: 1, email: 1, userName: 1 };
+
+// Build an error carrying the HTTP status to respond with
+const feedError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class FeedService {
+  /**
+   * Home feed of live posts: followed authors first, newest first within each group.
+   * Paged through two index-backed segments (followed authors on { user, createdAt }, then
+   * everyone else on { createdAt }) with a keyset cursor on (createdAt, _id) that records
+   * its segment, so the order holds across pages and posts created while scrolling never
+   * shift or repeat items.
+   * @param {Object|null} viewer - req.user (anonymous viewers get the chronological public feed)
+   * @param {Object} options - { cursor, limit }
+   * @returns {Object} { posts, nextCursor, hasMore }
+   */
+  async getHomeFeed(viewer, { cursor, limit = 10 } = {}) {
+    const after = cursor ? this.decodeCursor(cursor) : null;
+    if (after && !HOME_SEGMENTS.includes(after.segment)) {
+      throw feedError(400, 'Invalid feed cursor');
+    }
+
+    const followingIds = await visibilityService.getFollowedAuthorIds(viewer?._id);
+
+    const live = {
+      status: 'live',
+      isActive: true,
+      $and: [await visibilityService.buildPostFilter(viewer, followingIds)]
+    };
+    const segments = {
+      following: { ...live, user: { $in: followingIds } },
+      others: { ...live, user: { $nin: [...followingIds, null] } }
+    };
+
+    let index = after
+      ? HOME_SEGMENTS.indexOf(after.segment)
+      : (followingIds.length > 0 ? 0 : 1);
+    let position = after;
+    let taken = 0;
+    const posts = [];
+    let nextCursor = null;
+
+    // Fill the page from the current segment, then from the start of the next one
+    while (index < HOME_SEGMENTS.length && !nextCursor) {
+      const segment = HOME_SEGMENTS[index];
+      const { page, hasMore } = await this._runDatePage(segments[segment], position, limit - taken);
+
+      taken += page.length;
+      posts.push(...page
+        // Posts of deactivated authors are dropped after paging so the cursor stays exact
+        .filter(post => post.user)
+        .map(post => ({ ...post, isFollowing: segment === 'following' })));
+
+      if (hasMore) {
+        const last = page[page.length - 1];
+        nextCursor = last
+          ? this.encodeCursor(last.createdAt.getTime(), last._id, { segment })
+          : this.encodeCursor(null, null, { segment });
+      }
+
+      index += 1;
+      position = null;
+    }
+
+    return { posts, nextCursor, hasMore: !!nextCursor };
+  }
+
+  /**
+   * "For You" feed: precomputed post scores (recency, engagement, dwell) multiplied by the
+   * viewer's affinity to the author, with the reasons behind each post's rank.
+   * Scores come from the last FeedRankingScheduler run. The cursor records which post scoring
+   * and affinity runs it was ranked with, and later pages keep ranking with those scores:
+   * posts and affinities hold on to the previous run's scores, so a routine rescore doesn't
+   * reorder a feed being scrolled. Only a cursor older than that is rejected (409).
+   * @param {Object|null} viewer - req.user (anonymous viewers get the global ranking)
+   * @param {Object} options - { cursor, limit }
+   * @returns {Object} { posts, nextCursor, hasMore }
+   * @throws 409 when the ranking the cursor was issued with is no longer kept
+   */
+  async getForYouFeed(viewer, { cursor, limit = 10 } = {}) {
+    const after = cursor ? this.decodeCursor(cursor) : null;
+    const { lookbackDays } = feedConfig.ranking;
+
+    const [lastScored, affinities] = await Promise.all([
+      Post.findOne({ 'ranking.computedAt': { $exists: true } })
+        .sort({ 'ranking.computedAt': -1 })
+        .select('ranking.computedAt')
+        .lean(),
+      // At most maxAuthors current rows, plus the authors dropped by the last run
+      viewer ? FeedAffinity.find({ user: viewer._id }).lean() : []
+    ]);
+
+    // Ranking snapshot: post scoring run + affinity run for this viewer
+    const latest = {
+      scoredAt: lastScored ? lastScored.ranking.computedAt.getTime() : 0,
+      affinityAt: Math.max(0, ...affinities.map(a => new Date(a.computedAt).getTime() || 0))
+    };
+    const snapshot = after ? await this._rankingSnapshot(after.version, latest, affinities) : latest;
+    const scoredAt = new Date(snapshot.scoredAt);
+
+    const ranked = affinities
+      .map(a => ({ author: a.author, score: this._affinityAt(a, snapshot.affinityAt) }))
+      .filter(a => a.score > 0);
+    const affinityByAuthor = new Map(affinities.filter(a => a.score > 0).map(a => [a.author.toString(), a]));
+
+    const pipeline = [
+      {
+        $match: {
+          status: 'live',
+          isActive: true,
+          user: { $exists: true, $ne: null },
+          createdAt: { $gte: new Date(Date.now() - lookbackDays * 24 * 60 * 60 * 1000) },
+          $and: [
+            await visibilityService.buildPostFilter(viewer),
+            // Posts scored in the snapshot's run (posts created since then were not in it)
+            { $or: [{ 'ranking.computedAt': scoredAt }, { 'ranking.previous.computedAt': scoredAt }] }
+          ]
+        }
+      },
+      {
+        $addFields: {
+          postScore: {
+            $cond: [{ $eq: ['$ranking.computedAt', scoredAt] }, '$ranking.score', '$ranking.previous.score']
+          },
+          affinity: {
+            $let: {
+              vars: { i: { $indexOfArray: [ranked.map(a => a.author), '$user'] } },
+              in: {
+                $cond: [{ $gte: ['$$i', 0] }, { $arrayElemAt: [ranked.map(a => a.score), '$$i'] }, 0]
+              }
+            }
+          }
+        }
+      },
+      {
+        $addFields: {
+          rankScore: { $multiply: ['$postScore', { $add: [1, '$affinity'] }] },
+          likesCount: { $size: { $ifNull: ['$likes', []] } }
+        }
+      }
+    ];
+
+    const version = `${snapshot.scoredAt}.${snapshot.affinityAt}`;
+    const { page, nextCursor, hasMore } = await this._runPage(pipeline, 'rankScore', after, limit, { version });
+
+    return {
+      posts: page.map(({ rankScore, postScore, affinity, ranking, ...post }) => ({
+        ...post,
+        explanation: this._explain(post, ranking, rankScore, affinityByAuthor.get(post.user._id.toString()))
+      })),
+      nextCursor,
+      hasMore
+    };
+  }
+
+  /**
+   * Live posts carrying a hashtag, newest first
+   * @param {Object|null} viewer - req.user
+   * @param {string} tag - With or without '#', any case
+   * @param {Object} options - { cursor, limit }
+   * @returns {Object} { posts, nextCursor, hasMore }
+   */
+  async getHashtagFeed(viewer, tag, options = {}) {
+    return await this._taggedFeed(viewer, { hashtags: tag.replace(/^#/, '').toLowerCase() }, options);
+  }
+
+  /**
+   * Live posts about a market symbol ($CASHTAG in the text or a trade idea), newest first
+   * @param {Object|null} viewer - req.user
+   * @param {string} symbol - With or without '$', any case
+   * @param {Object} options - { cursor, limit, direction: 'long'|'short' (trade ideas only) }
+   * @returns {Object} { posts, nextCursor, hasMore }
+   */
+  async getSymbolFeed(viewer, symbol, { direction, ...options } = {}) {
+    const normalized = symbol.replace(/^\$/, '').toUpperCase();
+
+    const filter = direction
+      ? { symbols: normalized, 'tradeIdea.symbol': normalized, 'tradeIdea.direction': direction }
+      : { symbols: normalized };
+
+    return await this._taggedFeed(viewer, filter, options);
+  }
+
+  /**
+   * Helper: Chronological feed of live posts matching `filter` (hashtag, symbol...)
+   * @returns {Object} { posts, nextCursor, hasMore }
+   */
+  async _taggedFeed(viewer, filter, { cursor, limit = 10 } = {}) {
+    const after = cursor ? this.decodeCursor(cursor) : null;
+
+    const match = {
+      ...filter,
+      status: 'live',
+      isActive: true,
+      $and: [await visibilityService.buildPostFilter(viewer)]
+    };
+    if (after) match.createdAt = { $lte: new Date(after.score) };
+
+    const pipeline = [
+      { $match: match },
+      { $addFields: { feedScore: { $toLong: '$createdAt' } } }
+    ];
+
+    const { page, nextCursor, hasMore } = await this._runPage(pipeline, 'feedScore', after, limit);
+
+    return {
+      posts: page.map(({ feedScore, ...post }) => post),
+      nextCursor,
+      hasMore
+    };
+  }
+
+  /**
+   * Full-text search over live posts (text and hashtags)
+   * @param {Object|null} viewer - req.user
+   * @param {string} q - Search terms (MongoDB $text syntax: "exact phrase", -exclude)
+   * @param {Object} options - { sort: 'relevance'|'recent', cursor, limit }
+   * @returns {Object} { posts, nextCursor, hasMore }
+   */
+  async searchPosts(viewer, q, { sort = 'relevance', cursor, limit = 10 } = {}) {
+    const after = cursor ? this.decodeCursor(cursor) : null;
+
+    const pipeline = [
+      {
+        $match: {
+          $text: { $search: q },
+          status: 'live',
+          isActive: true,
+          user: { $exists: true, $ne: null },
+          $and: [await visibilityService.buildPostFilter(viewer)]
+        }
+      },
+      {
+        $addFields: {
+          relevance: { $meta: 'textScore' },
+          searchScore: sort === 'recent' ? { $toLong: '$createdAt' } : { $meta: 'textScore' }
+        }
+      }
+    ];
+
+    const { page, nextCursor, hasMore } = await this._runPage(pipeline, 'searchScore', after, limit);
+
+    return {
+      posts: page.map(({ searchScore, ...post }) => post),
+      nextCursor,
+      hasMore
+    };
+  }
+
+  /**
+   * Helper: Keyset-page a ranked pipeline on (scoreField desc, _id desc) and attach authors
+   * @param {Object} cursorFields - Stored in the next cursor as is (e.g. { version } of a ranking snapshot)
+   * @returns {Object} { page, nextCursor, hasMore }
+   */
+  async _runPage(pipeline, scoreField, after, limit, cursorFields) {
+    if (after) {
+      pipeline.push({
+        $match: {
+          $or: [
+            { [scoreField]: { $lt: after.score } },
+            { [scoreField]: after.score, _id: { $lt: after.id } }
+          ]
+        }
+      });
+    }
+
+    pipeline.push(
+      { $sort: { [scoreField]: -1, _id: -1 } },
+      { $limit: limit + 1 },
+      ...this._authorLookup()
+    );
+
+    const results = await Post.aggregate(pipeline).allowDiskUse(true);
+
+    const hasMore = results.length > limit;
+    const page = hasMore ? results.slice(0, limit) : results;
+    const last = page[page.length - 1];
+
+    return {
+      // Posts of deactivated authors are dropped after paging so the cursor stays exact
+      page: page.filter(post => post.user),
+      nextCursor: hasMore ? this.encodeCursor(last[scoreField], last._id, cursorFields) : null,
+      hasMore
+    };
+  }
+
+  /**
+   * Helper: Keyset-page posts matching `match` on (createdAt desc, _id desc), so the query
+   * can walk a createdAt index instead of sorting on a computed score
+   * @param {Object|null} after - Decoded cursor (null: from the newest post)
+   * @returns {Object} { page, hasMore } - authors attached; may include null authors
+   */
+  async _runDatePage(match, after, limit) {
+    const keyset = after?.id
+      ? {
+        $or: [
+          { createdAt: { $lt: new Date(after.score) } },
+          { createdAt: new Date(after.score), _id: { $lt: after.id } }
+        ]
+      }
+      : null;
+
+    const results = await Post.aggregate([
+      { $match: keyset ? { $and: [match, keyset] } : match },
+      { $sort: { createdAt: -1, _id: -1 } },
+      { $limit: limit + 1 },
+      ...this._authorLookup()
+    ]);
+
+    const hasMore = results.length > limit;
+    return { page: hasMore ? results.slice(0, limit) : results, hasMore };
+  }
+
+  /**
+   * Helper: Scoring runs a For You cursor was ranked with, if they are still kept
+   * (the latest run, or the one before it through `ranking.previous` / `previous`)
+   * @returns {Object} { scoredAt, affinityAt } - epoch ms
+   * @throws 400 for a malformed version, 409 when either run is no longer kept
+   */
+  async _rankingSnapshot(version, latest, affinities) {
+    const [scoredAt, affinityAt] = String(version).split('.').map(Number);
+    if (!Number.isFinite(scoredAt) || !Number.isFinite(affinityAt)) {
+      throw feedError(400, 'Invalid feed cursor');
+    }
+
+    const postsKept = scoredAt === latest.scoredAt ||
+      !!(await Post.exists({ 'ranking.previous.computedAt': new Date(scoredAt) }));
+    // 0: the viewer had no affinities, so every author counted 0
+    const affinitiesKept = affinityAt === 0 || affinityAt === latest.affinityAt ||
+      affinities.some(a => a.previous?.computedAt && new Date(a.previous.computedAt).getTime() === affinityAt);
+
+    if (!postsKept || !affinitiesKept) {
+      throw feedError(409, 'The feed ranking was refreshed. Please reload the feed from the top.');
+    }
+    return { scoredAt, affinityAt };
+  }
+
+  /**
+   * Helper: An affinity's score as of the given run (0 if it had none then)
+   */
+  _affinityAt(affinity, computedAt) {
+    if (new Date(affinity.computedAt).getTime() === computedAt) return affinity.score;
+    if (affinity.previous?.computedAt && new Date(affinity.previous.computedAt).getTime() === computedAt) {
+      return affinity.previous.score;
+    }
+    return 0;
+  }
+
+  /**
+   * Helper: Why a post was ranked where it is (strongest reasons first)
+   */
+  _explain(post, ranking, score, affinity) {
+    const reasons = [];
+    const authorName = post.user.name || post.user.userName || 'this author';
+
+    if (affinity?.follows) {
+      reasons.push({ signal: 'following', label: `You follow ${authorName}` });
+    }
+    if (affinity?.likes > 0) {
+      reasons.push({ signal: 'liked_author', label: `You liked ${affinity.likes} of ${authorName}'s posts recently` });
+    }
+    if (affinity?.dwellSeconds >= 60) {
+      reasons.push({ signal: 'read_author', label: `You spend time reading ${authorName}'s posts` });
+    }
+    if (ranking.engagement >= 2) {
+      reasons.push({
+        signal: 'popular',
+        label: `Popular: ${post.likesCount} likes, ${post.commentsCount || 0} comments, ${post.sharesCount || 0} shares`
+      });
+    }
+    if (ranking.avgDwellSeconds >= 30) {
+      reasons.push({ signal: 'engaging', label: `People spend about ${ranking.avgDwellSeconds}s reading this` });
+    }
+    if (ranking.recency >= 0.8 || reasons.length === 0) {
+      reasons.push({ signal: 'recent', label: 'Posted recently' });
+    }
+
+    return {
+      score,
+      reasons,
+      signals: {
+        recency: ranking.recency,
+        engagement: ranking.engagement,
+        dwell: ranking.dwell,
+        avgDwellSeconds: ranking.avgDwellSeconds,
+        affinity: affinity?.score || 0,
+        computedAt: ranking.computedAt
+      }
+    };
+  }
+
+  /**
+   * Opaque cursor: base64url of the last item's score and id (+ ranking snapshot or feed
+   * segment, if any). A segment cursor without score and id starts at the top of its segment.
+   */
+  encodeCursor(score, id, { version, segment } = {}) {
+    const payload = id ? { s: Number(score), id: id.toString() } : {};
+    if (version) payload.v = version;
+    if (segment) payload.seg = segment;
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+  }
+
+  /**
+   * @returns {Object} { score, id, version, segment } - score/id are null at the top of a segment
+   * @throws 400 when the cursor was not produced by `encodeCursor`
+   */
+  decodeCursor(cursor) {
+    try {
+      const { s, id, v, seg } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+      if (seg && s === undefined && id === undefined) {
+        return { score: null, id: null, version: v, segment: seg };
+      }
+      if (!Number.isFinite(s) || !mongoose.Types.ObjectId.isValid(id)) throw new Error();
+      return { score: s, id: new mongoose.Types.ObjectId(id), version: v, segment: seg };
+    } catch (error) {
+      throw feedError(400, 'Invalid feed cursor');
+    }
+  }
+
+  /**
+   * Helper: Populate the (active) author like `populate('user', ...)`
+   */
+  _authorLookup() {
+    return [
+      {
+        $lookup: {
+          from: 'users',
+          let: { userId: '$user' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$_id', '$$userId'] }, isActive: true } },
+            { $project: AUTHOR_FIELDS }
+          ],
+          as: 'user'
+        }
+      },
+      { $addFields: { user: { $ifNull: [{ $arrayElemAt: ['$user', 0] }, null] } } }
+    ];
+  }
+}
+
+module.exports = new FeedService();
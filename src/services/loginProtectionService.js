@@ -0,0 +1,182 @@
+// src/services/loginProtectionService.js
+const LoginLockout = require('../models/LoginLockout');
+const authConfig = require('../config/auth');
+
+// Build an error carrying the HTTP status to respond with
+const lockoutError = (lockedUntil) => {
+  const retryAfter = Math.ceil((lockedUntil - Date.now()) / 1000);
+  const error = new Error(`Too many failed login attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`);
+  error.statusCode = 429;
+  error.retryAfter = retryAfter;
+  return error;
+};
+
+class LoginProtectionService {
+  /**
+   * Refuse the attempt while the account or the IP is locked out
+   * @throws 429 with `retryAfter` (seconds)
+   */
+  async assertNotLocked(email, ip) {
+    const entries = await LoginLockout.find({
+      $or: [
+        { type: 'account', value: this._normalizeEmail(email) },
+        { type: 'ip', value: ip }
+      ],
+      lockedUntil: { $gt: new Date() }
+    }).select('lockedUntil');
+
+    if (entries.length > 0) {
+      const lockedUntil = new Date(Math.max(...entries.map(e => e.lockedUntil)));
+      throw lockoutError(lockedUntil);
+    }
+  }
+
+  /**
+   * Count a failed attempt against the account and the IP; locks whichever hits its limit
+   * @returns {Object} { delayMs: how long to hold the failed response, lockedUntil }
+   */
+  async recordFailure(email, ip, userId) {
+    const { maxAccountFailures, maxIpFailures } = authConfig.loginProtection;
+
+    const [account, client] = await Promise.all([
+      this._registerFailure('account', this._normalizeEmail(email), maxAccountFailures, userId),
+      this._registerFailure('ip', ip, maxIpFailures)
+    ]);
+
+    const lockedUntil = [account.lockedUntil, client.lockedUntil]
+      .filter(date => date && date > new Date())
+      .sort((a, b) => b - a)[0] || null;
+
+    return {
+      delayMs: this._delayFor(Math.max(account.failures, client.failures)),
+      lockedUntil
+    };
+  }
+
+  /**
+   * Successful login: forget the account's failures (the IP counter keeps running)
+   */
+  async recordSuccess(email) {
+    await LoginLockout.updateOne(
+      { type: 'account', value: this._normalizeEmail(email) },
+      { failures: 0, windowStartedAt: null }
+    );
+  }
+
+  /**
+   * Admin: lockout entries, active ones first
+   * @param {Object} filters - { type, activeOnly, search }
+   */
+  async listLockouts({ type, activeOnly = true, search, page = 1, limit = 20 } = {}) {
+    const query = {};
+    if (type) query.type = type;
+    if (activeOnly) query.lockedUntil = { $gt: new Date() };
+    if (search) query.value = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+
+    const skip = (page - 1) * limit;
+    const [entries, total] = await Promise.all([
+      LoginLockout.find(query)
+        .populate('user', 'name email avatar')
+        .populate('clearedBy', 'name email')
+        .sort({ lockedUntil: -1, lastFailureAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      LoginLockout.countDocuments(query)
+    ]);
+
+    return { entries, total };
+  }
+
+  /**
+   * Admin: lift a lockout and reset its counters
+   */
+  async clearLockout(id, adminId) {
+    return await LoginLockout.findByIdAndUpdate(
+      id,
+      {
+        failures: 0,
+        windowStartedAt: null,
+        lockedUntil: null,
+        clearedBy: adminId,
+        clearedAt: new Date()
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Helper: Increment one counter, opening a new window when the old one ran out.
+   * Every step is a single atomic update, so concurrent failures are all counted.
+   */
+  async _registerFailure(type, value, maxFailures, userId) {
+    const { windowMinutes } = authConfig.loginProtection;
+    const now = new Date();
+    const windowStart = new Date(now.getTime() - windowMinutes * 60 * 1000);
+
+    // Start over once the window ran out (only the first concurrent request matches)
+    await LoginLockout.updateOne(
+      {
+        type,
+        value,
+        $or: [{ windowStartedAt: null }, { windowStartedAt: { $lt: windowStart } }]
+      },
+      { $set: { failures: 0, windowStartedAt: now } }
+    );
+
+    let entry;
+    try {
+      entry = await LoginLockout.findOneAndUpdate(
+        { type, value },
+        {
+          $inc: { failures: 1 },
+          $set: { lastFailureAt: now, ...(userId && { user: userId }) },
+          $setOnInsert: { windowStartedAt: now }
+        },
+        { upsert: true, new: true }
+      );
+    } catch (error) {
+      // Another request created the counter first: count against that one
+      if (error.code === 11000) {
+        return this._registerFailure(type, value, maxFailures, userId);
+      }
+      throw error;
+    }
+
+    if (entry.failures < maxFailures) return entry;
+
+    // Only the request that still sees the full count locks (and bumps lockCount)
+    const locked = await LoginLockout.findOneAndUpdate(
+      { _id: entry._id, failures: { $gte: maxFailures } },
+      {
+        $set: {
+          lockedUntil: new Date(now.getTime() + this._lockoutMinutes(entry.lockCount) * 60 * 1000),
+          lastLockedAt: now,
+          failures: 0,
+          windowStartedAt: null
+        },
+        $inc: { lockCount: 1 }
+      },
+      { new: true }
+    );
+
+    return locked || await LoginLockout.findById(entry._id);
+  }
+
+  // Lockouts double each time the same key is locked again
+  _lockoutMinutes(lockCount) {
+    const { lockoutMinutes, maxLockoutMinutes } = authConfig.loginProtection;
+    return Math.min(lockoutMinutes * 2 ** lockCount, maxLockoutMinutes);
+  }
+
+  _delayFor(failures) {
+    const { delayStepMs, maxDelayMs } = authConfig.loginProtection;
+    return Math.min(failures * delayStepMs, maxDelayMs);
+  }
+
+  _normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+  }
+}
+
+module.exports = new LoginProtectionService();
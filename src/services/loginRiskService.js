@@ -0,0 +1,118 @@
+// src/services/loginRiskService.js
+const LoginHistory = require('../models/LoginHistory');
+const notificationService = require('./notificationService');
+const authConfig = require('../config/auth');
+
+const EARTH_RADIUS_KM = 6371;
+
+// Geolocation placeholders that say nothing about where the user is
+const UNKNOWN_COUNTRIES = ['Unknown', 'Local'];
+
+class LoginRiskService {
+  /**
+   * Score a successful login against the user's previous successful logins
+   * @param {ObjectId} userId
+   * @param {Object} login - { device, location, loginAt }
+   * @returns {Object} { score, level, flags, details }
+   */
+  async assessLogin(userId, { device, location, loginAt = new Date() }) {
+    const { scores } = authConfig.loginRisk;
+    const history = { user: userId, success: true, loginAt: { $lt: loginAt } };
+
+    const previous = await LoginHistory.findOne(history)
+      .sort({ loginAt: -1 })
+      .select('device location loginAt')
+      .lean();
+
+    // Nothing to compare the first login with
+    if (!previous) {
+      return { score: 0, level: 'low', flags: [], details: {} };
+    }
+
+    const flags = [];
+    const details = {};
+
+    if (device && !(await LoginHistory.exists({ ...history, device }))) {
+      flags.push('new_device');
+    }
+
+    const country = location?.country;
+    if (country && !UNKNOWN_COUNTRIES.includes(country) &&
+        !(await LoginHistory.exists({ ...history, 'location.country': country }))) {
+      flags.push('new_country');
+      details.previousCountry = previous.location?.country;
+    }
+
+    const travel = this._travelBetween(previous, { location, loginAt });
+    if (travel) {
+      Object.assign(details, travel);
+      const { impossibleTravelSpeedKmh, minTravelDistanceKm } = authConfig.loginRisk;
+      if (travel.distanceKm >= minTravelDistanceKm && travel.speedKmh > impossibleTravelSpeedKmh) {
+        flags.push('impossible_travel');
+      }
+    }
+
+    const score = Math.min(100, flags.reduce((sum, flag) => sum + scores[flag], 0));
+    return { score, level: this._levelFor(score), flags, details };
+  }
+
+  /**
+   * Tell the user about a flagged login; never throws (an alert must not break login)
+   */
+  async notifyIfSuspicious(userId, login) {
+    if (!login.risk || login.risk.flags.length === 0) return false;
+
+    try {
+      await notificationService.sendSuspiciousLoginNotification(userId, login);
+      await LoginHistory.updateOne({ _id: login._id }, { 'risk.notifiedAt': new Date() });
+      return true;
+    } catch (error) {
+      console.error(`Suspicious login alert failed for user ${userId}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Helper: Distance and implied speed between two logins with coordinates
+   */
+  _travelBetween(previous, current) {
+    const from = previous.location;
+    const to = current.location;
+    if (!this._hasCoordinates(from) || !this._hasCoordinates(to)) return null;
+
+    const distanceKm = this._haversineKm(from.lat, from.lng, to.lat, to.lng);
+    // Floor at one minute so back-to-back logins don't divide by zero
+    const elapsedHours = Math.max((current.loginAt - previous.loginAt) / 3600000, 1 / 60);
+
+    return {
+      distanceKm: Math.round(distanceKm),
+      elapsedHours: Math.round(elapsedHours * 100) / 100,
+      speedKmh: Math.round(distanceKm / elapsedHours)
+    };
+  }
+
+  // lat/lng 0,0 is what the localhost lookup returns
+  _hasCoordinates(location) {
+    return !!location &&
+      typeof location.lat === 'number' && typeof location.lng === 'number' &&
+      !(location.lat === 0 && location.lng === 0);
+  }
+
+  _haversineKm(lat1, lng1, lat2, lng2) {
+    const toRad = (deg) => deg * Math.PI / 180;
+    const dLat = toRad(lat2 - lat1);
+    const dLng = toRad(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+  }
+
+  _levelFor(score) {
+    const { levels } = authConfig.loginRisk;
+    if (score >= levels.high) return 'high';
+    if (score >= levels.medium) return 'medium';
+    return 'low';
+  }
+}
+
+module.exports = new LoginRiskService();
@@ -0,0 +1,84 @@
+// src/services/messageService.js
+const authConfig = require('../config/auth');
+
+/**
+ * Local development transport: prints the message instead of delivering it
+ */
+const consoleTransport = {
+  async send({ channel, to, subject, text }) {
+    console.log(`📨 [${channel.toUpperCase()}] to ${to}${subject ? ` · ${subject}` : ''}\n${text}`);
+    return { delivered: true, transport: 'console' };
+  }
+};
+
+// Build an error carrying the HTTP status to respond with
+const messageError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const CHANNELS = ['email', 'sms'];
+
+/**
+ * Outgoing email / SMS.
+ * Providers plug in per channel with `setTransport(channel, { send })`.
+ * MESSAGE_TRANSPORT=console prints every message instead, in development only; anywhere else
+ * a channel without a registered adapter refuses to send, so codes never leak to logs.
+ */
+class MessageService {
+  constructor() {
+    this.transports = {};
+  }
+
+  /**
+   * Register the adapter for a channel
+   * @param {string} channel - 'email' | 'sms'
+   * @param {Object} transport - Object with async send({ channel, to, subject, text })
+   */
+  setTransport(channel, transport) {
+    if (!transport || typeof transport.send !== 'function') {
+      throw new Error('Transport must implement send()');
+    }
+    this.transports[channel] = transport;
+  }
+
+  /**
+   * @throws 503 when the channel has no adapter outside console mode
+   */
+  getTransport(channel) {
+    if (this._isConsoleMode()) return consoleTransport;
+
+    const transport = this.transports[channel];
+    if (!transport) {
+      throw messageError(503, `No ${channel} transport is configured`);
+    }
+    return transport;
+  }
+
+  /**
+   * Channels that cannot deliver with the current configuration (checked at startup)
+   */
+  getMissingTransports() {
+    if (this._isConsoleMode()) return [];
+    return CHANNELS.filter(channel => !this.transports[channel]);
+  }
+
+  async sendEmail(to, subject, text) {
+    return await this.getTransport('email').send({ channel: 'email', to, subject, text });
+  }
+
+  async sendSms(to, text) {
+    return await this.getTransport('sms').send({ channel: 'sms', to, text });
+  }
+
+  /**
+   * Helper: Print messages instead of delivering them (development only)
+   */
+  _isConsoleMode() {
+    const { transport, consoleAllowed } = authConfig.messaging;
+    return transport === 'console' && consoleAllowed;
+  }
+}
+
+module.exports = new MessageService();
@@ -2,6 +2,8 @@
 const admin = require('../config/firebase');
 const Notification = require('../models/Notification');
 const DeviceToken = require('../models/DeviceToken');
+const socketManager = require('../socket/socketManager');
+const agoraConfig = require('../config/agora');
 
 class NotificationService {
   /**
@@ -111,6 +113,9 @@ class NotificationService {
 
       await notification.save();
 
+      // Push to any open sockets so the inbox updates without polling
+      socketManager.emitToUser(userId, socketManager.EVENTS.NOTIFICATION_NEW, { notification });
+
       return {
         success: true,
         notification,
@@ -291,6 +296,15 @@ class NotificationService {
           };
           break;
 
+        case 'mention':
+          notificationData = {
+            title: 'New Mention',
+            body: `${sender.name || sender.userName} mentioned you in a post`,
+            type: 'mention',
+            data: { postId: data.postId }
+          };
+          break;
+
         case 'post':
           notificationData = {
             title: 'New Post',
@@ -314,6 +328,140 @@ class NotificationService {
     }
   }
 
+  /**
+   * Send incoming-call VoIP push to the receiver's devices
+   * Data-only, high priority; no inbox Notification record is created
+   */
+  async sendCallNotification(receiver, call, receiverToken) {
+    try {
+      const deviceTokens = await DeviceToken.getActiveTokens(receiver._id);
+
+      if (!deviceTokens || deviceTokens.length === 0) {
+        return { success: false, successCount: 0, failureCount: 0 };
+      }
+
+      const tokens = deviceTokens.map(dt => dt.token);
+
+      const User = require('../models/User');
+      const caller = await User.findById(call.caller).select('name userName avatar phone');
+
+      // FCM data values must all be strings
+      const data = {
+        type: 'call',
+        event: 'incoming_call',
+        callId: call.callId,
+        channelName: call.channelName,
+        callType: call.callType,
+        callerId: call.caller.toString(),
+        callerName: caller?.name || caller?.userName || '',
+        callerAvatar: caller?.avatar || '',
+        callerPhone: call.callerPhone || '',
+        token: receiverToken,
+        agoraAppId: process.env.AGORA_APP_ID || ''
+      };
+
+      // A ring is useless once the call has timed out
+      const ringTimeout = agoraConfig.ringTimeout;
+      const bundleId = process.env.APNS_BUNDLE_ID;
+
+      const message = {
+        data,
+        android: {
+          priority: 'high',
+          ttl: ringTimeout * 1000
+        },
+        apns: {
+          headers: {
+            'apns-push-type': 'voip',
+            'apns-priority': '10',
+            'apns-expiration': String(Math.floor(Date.now() / 1000) + ringTimeout),
+            ...(bundleId && { 'apns-topic': `${bundleId}.voip` })
+          },
+          payload: {
+            aps: {
+              'content-available': 1
+            },
+            ...data
+          }
+        },
+        tokens
+      };
+
+      const response = await admin.messaging().sendEachForMulticast(message);
+
+      console.log(`--- FCM CALL PUSH --- Call: ${call.callId}, Success: ${response.successCount}, Failures: ${response.failureCount}`);
+
+      response.responses.forEach((resp, idx) => {
+        if (!resp.success) {
+          DeviceToken.markAsFailed(tokens[idx], resp.error?.message || 'Unknown error');
+        }
+      });
+
+      return {
+        success: response.successCount > 0,
+        successCount: response.successCount,
+        failureCount: response.failureCount
+      };
+    } catch (error) {
+      console.error('Send call notification error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send "missed call" notification to the receiver of an unanswered call
+   */
+  async sendMissedCallNotification(call, caller) {
+    try {
+      const callerName = caller?.name || caller?.userName || 'Someone';
+
+      return await this.sendToUser(call.receiver, {
+        sentBy: call.caller,
+        title: 'Missed Call',
+        body: `You missed a call from ${callerName}`,
+        type: 'call',
+        priority: 'high',
+        data: {
+          callId: call.callId,
+          callType: call.callType,
+          callerId: call.caller.toString()
+        }
+      });
+    } catch (error) {
+      console.error('Send missed call notification error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Alert a user about a suspicious login on their account
+   * @param {Object} login - LoginHistory entry with its risk assessment
+   */
+  async sendSuspiciousLoginNotification(userId, login) {
+    const where = login.location?.city && login.location?.country
+      ? `${login.location.city}, ${login.location.country}`
+      : login.ip;
+
+    const reasons = {
+      new_device: 'a new device',
+      new_country: 'a new country',
+      impossible_travel: 'an unusual location'
+    };
+    const why = login.risk.flags.map(flag => reasons[flag]).join(' and ');
+
+    return await this.sendToUser(userId, {
+      title: 'New sign-in to your account',
+      body: `We noticed a sign-in from ${why} (${where} · ${login.device}). If this wasn't you, change your password and sign out other sessions.`,
+      type: 'security',
+      priority: login.risk.level === 'high' ? 'urgent' : 'high',
+      data: {
+        loginId: login._id.toString(),
+        riskLevel: login.risk.level,
+        flags: login.risk.flags.join(',')
+      }
+    });
+  }
+
   /**
    * Helper: Get Android priority level
    */
@@ -0,0 +1,158 @@
+// src/services/otpService.js
+const crypto = require('crypto');
+const OtpCode = require('../models/OtpCode');
+const messageService = require('./messageService');
+const authConfig = require('../config/auth');
+
+// Build an error carrying the HTTP status to respond with
+const otpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// What each purpose's message says
+const MESSAGES = {
+  password_reset: {
+    subject: 'Your password reset code',
+    text: (code, minutes) => `Your password reset code is ${code}. It expires in ${minutes} minutes. If you didn't ask to reset your password, ignore this message.`
+  },
+  email_verification: {
+    subject: 'Verify your email',
+    text: (code, minutes) => `Your email verification code is ${code}. It expires in ${minutes} minutes.`
+  },
+  phone_verification: {
+    subject: 'Verify your phone number',
+    text: (code, minutes) => `Your phone verification code is ${code}. It expires in ${minutes} minutes.`
+  }
+};
+
+class OtpService {
+  /**
+   * Generate a one-time code, store its hash and send it to the user
+   * @param {Object} user - User document
+   * @param {string} purpose - e.g. 'password_reset'
+   * @param {Object} options - { channel: 'email'|'sms', ip }
+   * @throws 429 when the user asked for too many codes
+   */
+  async issueCode(user, purpose, { channel = 'email', ip } = {}) {
+    const { otp } = authConfig;
+    const destination = channel === 'sms' ? user.phone : user.email;
+    if (!destination) {
+      throw otpError(400, `No ${channel === 'sms' ? 'phone number' : 'email'} on this account`);
+    }
+
+    // Fail before storing a code that can't be delivered (503 without a transport)
+    messageService.getTransport(channel === 'sms' ? 'sms' : 'email');
+
+    await this._checkRequestLimits(user._id, purpose);
+
+    const code = crypto.randomInt(0, 10 ** otp.length).toString().padStart(otp.length, '0');
+
+    // A new code replaces any earlier one still pending
+    await OtpCode.updateMany(
+      { user: user._id, purpose, consumedAt: { $exists: false } },
+      { consumedAt: new Date() }
+    );
+
+    const record = await OtpCode.create({
+      user: user._id,
+      purpose,
+      codeHash: this._hash(user._id, purpose, code),
+      channel,
+      destination,
+      expiresAt: new Date(Date.now() + otp.expiryMinutes * 60 * 1000),
+      requestIp: ip
+    });
+
+    const message = MESSAGES[purpose];
+    const text = message.text(code, otp.expiryMinutes);
+    if (channel === 'sms') {
+      await messageService.sendSms(destination, text);
+    } else {
+      await messageService.sendEmail(destination, message.subject, text);
+    }
+
+    return { expiresAt: record.expiresAt, channel };
+  }
+
+  /**
+   * Check a code and consume it
+   * @param {Object} options - { destination }: when given, the code must have been sent there
+   *   (so a code sent to an old email/phone can't verify a new one)
+   * @throws 400 for a wrong/expired code, 429 once the code's attempts are used up
+   */
+  async verifyCode(userId, purpose, code, { destination } = {}) {
+    const record = await OtpCode.findOne({
+      user: userId,
+      purpose,
+      consumedAt: { $exists: false }
+    }).sort({ createdAt: -1 });
+
+    if (!record || record.expiresAt <= new Date()) {
+      throw otpError(400, 'Invalid or expired code');
+    }
+
+    if (destination !== undefined && record.destination !== destination) {
+      // The contact changed since the code was sent: the code is void
+      record.consumedAt = new Date();
+      await record.save();
+      throw otpError(400, 'This code was sent to a different address. Please request a new code.');
+    }
+
+    if (record.attempts >= authConfig.otp.maxAttempts) {
+      throw otpError(429, 'Too many incorrect attempts. Please request a new code.');
+    }
+
+    const expected = Buffer.from(record.codeHash, 'hex');
+    const actual = Buffer.from(this._hash(userId, purpose, String(code)), 'hex');
+
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      record.attempts += 1;
+      await record.save();
+      throw otpError(400, 'Invalid or expired code');
+    }
+
+    // Conditional update so the same code can't be redeemed twice concurrently
+    const consumed = await OtpCode.findOneAndUpdate(
+      { _id: record._id, consumedAt: { $exists: false } },
+      { consumedAt: new Date() },
+      { new: true }
+    );
+    if (!consumed) {
+      throw otpError(400, 'Invalid or expired code');
+    }
+
+    return true;
+  }
+
+  /**
+   * Helper: Per-user hourly cap and resend cooldown
+   */
+  async _checkRequestLimits(userId, purpose) {
+    const { maxRequestsPerHour, resendCooldownSeconds } = authConfig.otp;
+    const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
+
+    const recent = await OtpCode.find({ user: userId, purpose, createdAt: { $gte: oneHourAgo } })
+      .sort({ createdAt: -1 })
+      .select('createdAt')
+      .lean();
+
+    if (recent.length >= maxRequestsPerHour) {
+      throw otpError(429, 'Too many code requests. Please try again later.');
+    }
+
+    if (recent[0] && Date.now() - recent[0].createdAt < resendCooldownSeconds * 1000) {
+      throw otpError(429, `Please wait ${resendCooldownSeconds} seconds before requesting another code`);
+    }
+  }
+
+  _hash(userId, purpose, code) {
+    return crypto
+      .createHmac('sha256', process.env.JWT_SECRET)
+      .update(`${userId}:${purpose}:${code}`)
+      .digest('hex');
+  }
+}
+
+module.exports = new OtpService();
@@ -0,0 +1,125 @@
+// src/services/permissionService.js
+const RolePermission = require('../models/RolePermission');
+const permissionConfig = require('../config/permissions');
+
+const { ROLES, SUPER_ROLE, PERMISSIONS, DEFAULT_ROLE_PERMISSIONS } = permissionConfig;
+
+// Build an error carrying the HTTP status to respond with
+const permissionError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class PermissionService {
+  constructor() {
+    this.cache = null; // { byRole: Map(role → [permissions]), overridden: Set, loadedAt }
+  }
+
+  /**
+   * Effective permissions of a role (admin override, else the config defaults)
+   */
+  async getRolePermissions(role) {
+    const normalized = (role || '').toUpperCase();
+    if (normalized === SUPER_ROLE) return Object.keys(PERMISSIONS);
+
+    const { byRole } = await this._load();
+    return byRole.get(normalized) || [];
+  }
+
+  /**
+   * Whether a user's role grants every given permission
+   */
+  async hasPermission(user, ...permissions) {
+    if (!user || !user.role) return false;
+    const granted = await this.getRolePermissions(user.role);
+    return permissions.every(permission => granted.includes(permission));
+  }
+
+  /**
+   * Every role with its effective permissions, for the admin API
+   */
+  async listRoles() {
+    const { overridden } = await this._load();
+
+    return Promise.all(ROLES.map(async (role) => ({
+      role,
+      permissions: await this.getRolePermissions(role),
+      editable: role !== SUPER_ROLE,
+      customized: overridden.has(role)
+    })));
+  }
+
+  /**
+   * Replace a role's permissions
+   * @throws 400 for unknown permissions or the non-editable admin role
+   */
+  async setRolePermissions(role, permissions, updatedBy) {
+    const normalized = this._assertEditable(role);
+
+    const unknown = permissions.filter(permission => !PERMISSIONS[permission]);
+    if (unknown.length > 0) {
+      throw permissionError(400, `Unknown permission(s): ${unknown.join(', ')}`);
+    }
+
+    await RolePermission.findOneAndUpdate(
+      { role: normalized },
+      { permissions: [...new Set(permissions)], updatedBy },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    this.invalidate();
+    return this.getRolePermissions(normalized);
+  }
+
+  /**
+   * Drop a role's override so it falls back to the config defaults
+   */
+  async resetRolePermissions(role) {
+    const normalized = this._assertEditable(role);
+
+    await RolePermission.deleteOne({ role: normalized });
+
+    this.invalidate();
+    return this.getRolePermissions(normalized);
+  }
+
+  invalidate() {
+    this.cache = null;
+  }
+
+  _assertEditable(role) {
+    const normalized = (role || '').toUpperCase();
+    if (!ROLES.includes(normalized)) {
+      throw permissionError(404, `Role '${role}' does not exist`);
+    }
+    if (normalized === SUPER_ROLE) {
+      throw permissionError(400, `${SUPER_ROLE} always has every permission`);
+    }
+    return normalized;
+  }
+
+  /**
+   * Helper: Resolve role permissions, cached for `cacheSeconds`
+   */
+  async _load() {
+    const maxAge = permissionConfig.cacheSeconds * 1000;
+    if (this.cache && Date.now() - this.cache.loadedAt < maxAge) {
+      return this.cache;
+    }
+
+    const overrides = await RolePermission.find().lean();
+    const byRole = new Map(Object.entries(DEFAULT_ROLE_PERMISSIONS));
+    const overridden = new Set();
+
+    for (const { role, permissions } of overrides) {
+      byRole.set(role, permissions);
+      overridden.add(role);
+    }
+
+    this.cache = { byRole, overridden, loadedAt: Date.now() };
+    return this.cache;
+  }
+}
+
+module.exports = new PermissionService();
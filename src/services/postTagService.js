@@ -0,0 +1,316 @@
+// src/services/postTagService.js
+const User = require('../models/User');
+const Post = require('../models/Post');
+const notificationService = require('./notificationService');
+const visibilityService = require('./visibilityService');
+
+// '#tag' not glued to a preceding word, URL or HTML entity (e.g. "a#b", "/page#top", "?q=#x", "&#39;")
+const HASHTAG_PATTERN = /(?:^|[^\p{L}\p{N}_&/=])#([\p{L}\p{N}_]{1,50})/gu;
+// '$TICKER' starting with a letter, so prices ("$100") don't count, and not inside a URL
+const CASHTAG_PATTERN = /(?:^|[^\p{L}\p{N}_$/=])\$([A-Za-z][A-Za-z0-9]{1,14})(?![\p{L}\p{N}_])/gu;
+// '@userName' not glued to a preceding word or URL path (so emails and "medium.com/@ann" don't count)
+const MENTION_PATTERN = /(?:^|[^\p{L}\p{N}_.@/=])@([A-Za-z0-9_.]{1,30})/gu;
+
+const MAX_HASHTAGS = 30;
+const MAX_MENTIONS = 20;
+const MAX_SYMBOLS = 10;
+
+class PostTagService {
+  /**
+   * Pull hashtags, cashtag symbols and mentioned user names out of post text
+   * @returns {Object} { hashtags, symbols, userNames } - unique, in order of appearance
+   */
+  parse(text) {
+    if (!text) return { hashtags: [], symbols: [], userNames: [] };
+
+    const hashtags = [...new Set(
+      [...text.matchAll(HASHTAG_PATTERN)]
+        .map(m => m[1].toLowerCase())
+        // A tag needs at least one letter ("#1" is a list number, not a tag)
+        .filter(tag => /\p{L}/u.test(tag))
+    )].slice(0, MAX_HASHTAGS);
+
+    const symbols = [...new Set(
+      [...text.matchAll(CASHTAG_PATTERN)].map(m => m[1].toUpperCase())
+    )].slice(0, MAX_SYMBOLS);
+
+    // User names are matched case-insensitively, so "@Ann" and "@ann" are one mention (first spelling kept)
+    const userNames = [];
+    const seen = new Set();
+    for (const m of text.matchAll(MENTION_PATTERN)) {
+      const name = m[1].replace(/\.+$/, '');
+      if (!name || seen.has(name.toLowerCase())) continue;
+      seen.add(name.toLowerCase());
+      userNames.push(name);
+    }
+    userNames.splice(MAX_MENTIONS);
+
+    return { hashtags, symbols, userNames };
+  }
+
+  /**
+   * Set a post's text and its parsed hashtags/symbols/mentions (mentions resolve to existing users).
+   * The trade idea's symbol is added back on save (see the Post pre-save hook).
+   * Mentions kept from the previous text keep their `notifiedAt`, so nobody is notified twice.
+   * @param {Document} post - Post document (not saved here)
+   * @param {string} text
+   */
+  async applyText(post, text) {
+    const { hashtags, symbols, userNames } = this.parse(text);
+
+    const users = userNames.length > 0
+      ? await User.find({ userName: { $in: userNames }, isActive: true })
+        .collation({ locale: 'en', strength: 2 })
+        .select('_id userName')
+        .lean()
+      : [];
+
+    const previous = new Map((post.mentions || []).map(m => [m.user.toString(), m]));
+    const authorId = post.user.toString();
+
+    post.set('content.text', text);
+    post.hashtags = hashtags;
+    post.symbols = symbols;
+    post.mentions = users
+      .filter(u => u._id.toString() !== authorId)
+      .map(u => ({
+        user: u._id,
+        userName: u.userName,
+        notifiedAt: previous.get(u._id.toString())?.notifiedAt
+      }));
+
+    return post;
+  }
+
+  /**
+   * Parse hashtags, symbols and mentions of posts written before they were parsed on save.
+   * Idempotent: only posts whose parsed values differ are written. Mentions added to posts
+   * that are already live are stamped as notified, so old posts don't notify anyone.
+   * @param {Object} options - { dryRun, batchSize }
+   * @returns {Object} { scanned, updated }
+   */
+  async backfillPosts({ dryRun = false, batchSize = 500 } = {}) {
+    const report = { dryRun, scanned: 0, updated: 0 };
+
+    const cursor = Post.find({ 'content.text': { $exists: true, $ne: '' } })
+      .select('user status content.text hashtags symbols tradeIdea.symbol mentions')
+      .lean()
+      .cursor({ batchSize });
+
+    let batch = [];
+    for await (const post of cursor) {
+      batch.push(post);
+      if (batch.length >= batchSize) {
+        await this._backfillBatch(batch, report, dryRun);
+        batch = [];
+      }
+    }
+    if (batch.length > 0) await this._backfillBatch(batch, report, dryRun);
+
+    return report;
+  }
+
+  /**
+   * Helper: Parse and write one batch of posts (one User lookup for all their mentions)
+   */
+  async _backfillBatch(posts, report, dryRun) {
+    const parsed = posts.map(post => this.parse(post.content.text));
+
+    const userNames = [...new Set(parsed.flatMap(p => p.userNames))];
+    const users = userNames.length > 0
+      ? await User.find({ userName: { $in: userNames }, isActive: true })
+        .collation({ locale: 'en', strength: 2 })
+        .select('_id userName')
+        .lean()
+      : [];
+    const usersByName = new Map(users.map(u => [u.userName.toLowerCase(), u]));
+
+    const now = new Date();
+    const operations = [];
+
+    posts.forEach((post, i) => {
+      const { hashtags, userNames: names } = parsed[i];
+      // Same as the Post pre-save hook: the trade idea's symbol is always listed
+      const symbols = [...new Set([...parsed[i].symbols, ...(post.tradeIdea?.symbol ? [post.tradeIdea.symbol] : [])])];
+      const previous = new Map((post.mentions || []).map(m => [m.user.toString(), m]));
+
+      const mentioned = new Map();
+      names.forEach((name) => {
+        const user = usersByName.get(name.toLowerCase());
+        if (user && !user._id.equals(post.user)) mentioned.set(user._id.toString(), user);
+      });
+
+      const mentions = [...mentioned.values()].map(u => ({
+        user: u._id,
+        userName: u.userName,
+        notifiedAt: previous.get(u._id.toString())?.notifiedAt || (post.status === 'live' ? now : undefined)
+      }));
+
+      const unchanged =
+        (post.hashtags || []).join(' ') === hashtags.join(' ') &&
+        (post.symbols || []).join(' ') === symbols.join(' ') &&
+        [...previous.keys()].join(' ') === [...mentioned.keys()].join(' ');
+      if (unchanged) return;
+
+      operations.push({
+        updateOne: {
+          filter: { _id: post._id },
+          update: { $set: { hashtags, symbols, mentions } },
+          timestamps: false
+        }
+      });
+    });
+
+    report.scanned += posts.length;
+    report.updated += operations.length;
+
+    if (!dryRun && operations.length > 0) {
+      await Post.bulkWrite(operations, { ordered: false });
+    }
+  }
+
+  /**
+   * Notify mentioned users who haven't been told yet, once the post is live.
+   * Only users allowed to see the post are notified. Never throws.
+   * @param {Document} post - Post document
+   * @param {Object} author - User who wrote the post ({ _id, name, userName })
+   */
+  async notifyMentions(post, author) {
+    try {
+      if (post.status !== 'live' || !post.isActive) return [];
+
+      const pending = post.mentions.filter(m => !m.notifiedAt);
+      const notified = [];
+
+      for (const mention of pending) {
+        const viewer = await User.findById(mention.user).select('_id role isActive');
+        if (!viewer || !viewer.isActive || !(await visibilityService.canViewPost(viewer, post))) continue;
+
+        try {
+          await notificationService.sendActivityNotification({
+            type: 'mention',
+            sender: author,
+            recipient: mention.user,
+            data: { postId: post._id.toString() }
+          });
+          notified.push(mention.user);
+        } catch (error) {
+          console.error(`Mention notification failed for user ${mention.user}:`, error.message);
+        }
+      }
+
+      if (notified.length > 0) {
+        await Post.updateOne(
+          { _id: post._id },
+          { $set: { 'mentions.$[m].notifiedAt': new Date() } },
+          { arrayFilters: [{ 'm.user': { $in: notified } }], timestamps: false }
+        );
+      }
+
+      return notified;
+    } catch (error) {
+      console.error('Notify mentions error:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Most used hashtags on public live posts over a time window
+   * @param {Object} options - { hours, limit }
+   * @returns {Array} [{ tag, posts, authors, likes }]
+   */
+  async getTrendingHashtags({ hours = 24, limit = 10 } = {}) {
+    return await Post.aggregate([
+      { $match: await this._recentPublicMatch('hashtags', hours) },
+      { $project: { hashtags: 1, user: 1, likesCount: { $size: { $ifNull: ['$likes', []] } } } },
+      { $unwind: '$hashtags' },
+      {
+        $group: {
+          _id: '$hashtags',
+          posts: { $sum: 1 },
+          authors: { $addToSet: '$user' },
+          likes: { $sum: '$likesCount' }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          tag: '$_id',
+          posts: 1,
+          authors: { $size: '$authors' },
+          likes: 1
+        }
+      },
+      // Many authors beat one author spamming a tag
+      { $sort: { authors: -1, posts: -1, likes: -1, tag: 1 } },
+      { $limit: limit }
+    ]);
+  }
+
+  /**
+   * Most discussed symbols on public live posts over a time window,
+   * with the long/short split of the trade ideas posted on each
+   * @param {Object} options - { hours, limit }
+   * @returns {Array} [{ symbol, posts, authors, likes, ideas: { long, short } }]
+   */
+  async getTrendingSymbols({ hours = 24, limit = 10 } = {}) {
+    return await Post.aggregate([
+      { $match: await this._recentPublicMatch('symbols', hours) },
+      {
+        $project: {
+          symbols: 1,
+          user: 1,
+          tradeIdea: 1,
+          likesCount: { $size: { $ifNull: ['$likes', []] } }
+        }
+      },
+      { $unwind: '$symbols' },
+      {
+        $addFields: {
+          // The idea's direction only counts for the symbol it is about
+          ideaDirection: {
+            $cond: [{ $eq: ['$tradeIdea.symbol', '$symbols'] }, '$tradeIdea.direction', null]
+          }
+        }
+      },
+      {
+        $group: {
+          _id: '$symbols',
+          posts: { $sum: 1 },
+          authors: { $addToSet: '$user' },
+          likes: { $sum: '$likesCount' },
+          long: { $sum: { $cond: [{ $eq: ['$ideaDirection', 'long'] }, 1, 0] } },
+          short: { $sum: { $cond: [{ $eq: ['$ideaDirection', 'short'] }, 1, 0] } }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          symbol: '$_id',
+          posts: 1,
+          authors: { $size: '$authors' },
+          likes: 1,
+          ideas: { long: '$long', short: '$short' }
+        }
+      },
+      { $sort: { authors: -1, posts: -1, likes: -1, symbol: 1 } },
+      { $limit: limit }
+    ]);
+  }
+
+  /**
+   * Helper: Match public live posts from the last `hours` that have a value in `field`
+   */
+  async _recentPublicMatch(field, hours) {
+    return {
+      status: 'live',
+      isActive: true,
+      createdAt: { $gte: new Date(Date.now() - hours * 60 * 60 * 1000) },
+      [`${field}.0`]: { $exists: true },
+      // Trends are public: never count posts with a restricted audience
+      $and: [await visibilityService.buildPostFilter(null)]
+    };
+  }
+}
+
+module.exports = new PostTagService();
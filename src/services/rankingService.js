@@ -0,0 +1,262 @@
+// src/services/rankingService.js
+const Post = require('../models/Post');
+const ScreenActivity = require('../models/ScreenActivity');
+const UserSession = require('../models/UserSession');
+const FeedAffinity = require('../models/FeedAffinity');
+const visibilityService = require('./visibilityService');
+const feedConfig = require('../config/feed');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Precomputes the "For You" signals:
+ *   per post  → recency decay × (1 + engagement + dwell), stored on `Post.ranking`
+ *   per user  → affinity to each author (follows, past likes, dwell), stored in FeedAffinity
+ */
+class RankingService {
+  /**
+   * Score every live post inside the lookback window
+   * @returns {Object} { scored, expired }
+   */
+  async scorePosts(now = new Date()) {
+    const { lookbackDays, recencyHalfLifeHours, weights, maxDwellSeconds } = feedConfig.ranking;
+    const since = new Date(now.getTime() - lookbackDays * DAY_MS);
+
+    const posts = await Post.aggregate([
+      { $match: { status: 'live', isActive: true, createdAt: { $gte: since } } },
+      {
+        $project: {
+          createdAt: 1,
+          ranking: 1,
+          commentsCount: 1,
+          sharesCount: 1,
+          likesCount: { $size: { $ifNull: ['$likes', []] } }
+        }
+      }
+    ]);
+
+    const dwellStats = await ScreenActivity.aggregate([
+      {
+        $match: {
+          screenName: 'post_detail',
+          post: { $in: posts.map(p => p._id) },
+          duration: { $gt: 0 }
+        }
+      },
+      {
+        $group: {
+          _id: '$post',
+          views: { $sum: 1 },
+          avgDwell: { $avg: { $min: ['$duration', maxDwellSeconds] } }
+        }
+      }
+    ]);
+    const dwellByPost = new Map(dwellStats.map(d => [d._id.toString(), d]));
+
+    const operations = posts.map((post) => {
+      const dwell = dwellByPost.get(post._id.toString());
+      const ageHours = Math.max(0, (now - post.createdAt) / HOUR_MS);
+
+      const recency = Math.pow(0.5, ageHours / recencyHalfLifeHours);
+      const engagement =
+        weights.likes * Math.log1p(post.likesCount) +
+        weights.comments * Math.log1p(post.commentsCount || 0) +
+        weights.shares * Math.log1p(post.sharesCount || 0);
+      const avgDwellSeconds = dwell ? Math.round(dwell.avgDwell) : 0;
+      const dwellScore = weights.dwell * Math.log1p(avgDwellSeconds);
+
+      return {
+        updateOne: {
+          filter: { _id: post._id },
+          update: {
+            $set: {
+              ranking: {
+                score: recency * (1 + engagement + dwellScore),
+                recency,
+                engagement,
+                dwell: dwellScore,
+                avgDwellSeconds,
+                views: dwell ? dwell.views : 0,
+                computedAt: now,
+                // For You cursors issued before this run keep paging with these
+                ...(post.ranking?.computedAt && {
+                  previous: { score: post.ranking.score, computedAt: post.ranking.computedAt }
+                })
+              }
+            }
+          },
+          timestamps: false
+        }
+      };
+    });
+
+    if (operations.length > 0) {
+      await Post.bulkWrite(operations, { ordered: false });
+    }
+
+    // Posts that aged out of the window drop out of the ranking
+    const expired = await Post.updateMany(
+      { createdAt: { $lt: since }, 'ranking.score': { $gt: 0 } },
+      [{
+        $set: {
+          'ranking.previous': { score: '$ranking.score', computedAt: '$ranking.computedAt' },
+          'ranking.score': 0,
+          'ranking.computedAt': now
+        }
+      }],
+      { timestamps: false }
+    );
+
+    return { scored: operations.length, expired: expired.modifiedCount };
+  }
+
+  /**
+   * Recompute author affinities for every recently active user
+   * @returns {Object} { users }
+   */
+  async computeAffinities(now = new Date()) {
+    const activeSince = new Date(now.getTime() - feedConfig.affinity.activeUserDays * DAY_MS);
+    const userIds = await UserSession.distinct('user', { lastActivityTime: { $gte: activeSince } });
+
+    for (const userId of userIds) {
+      try {
+        await this.computeUserAffinities(userId, now);
+      } catch (error) {
+        console.error(`Affinity computation failed for user ${userId}:`, error.message);
+      }
+    }
+
+    return { users: userIds.length };
+  }
+
+  /**
+   * Affinity of one user to the authors they follow, like and read
+   * @returns {Array} Stored affinities, strongest first
+   */
+  async computeUserAffinities(userId, now = new Date()) {
+    const { lookbackDays, weights, maxAuthors } = feedConfig.affinity;
+    const { maxDwellSeconds } = feedConfig.ranking;
+    const since = new Date(now.getTime() - lookbackDays * DAY_MS);
+
+    const [followedIds, likedAuthors, readAuthors] = await Promise.all([
+      visibilityService.getFollowedAuthorIds(userId),
+
+      Post.aggregate([
+        { $match: { 'likes.user': userId, isActive: true } },
+        {
+          $project: {
+            user: 1,
+            liked: {
+              $size: {
+                $filter: {
+                  input: '$likes',
+                  cond: {
+                    $and: [
+                      { $eq: ['$$this.user', userId] },
+                      { $gte: ['$$this.createdAt', since] }
+                    ]
+                  }
+                }
+              }
+            }
+          }
+        },
+        { $match: { liked: { $gt: 0 } } },
+        { $group: { _id: '$user', likes: { $sum: '$liked' } } }
+      ]),
+
+      ScreenActivity.aggregate([
+        {
+          $match: {
+            user: userId,
+            screenName: 'post_detail',
+            post: { $exists: true },
+            enteredAt: { $gte: since }
+          }
+        },
+        { $group: { _id: '$post', seconds: { $sum: { $min: ['$duration', maxDwellSeconds] } } } },
+        {
+          $lookup: {
+            from: 'posts',
+            localField: '_id',
+            foreignField: '_id',
+            pipeline: [{ $project: { user: 1 } }],
+            as: 'post'
+          }
+        },
+        { $unwind: '$post' },
+        { $group: { _id: '$post.user', dwellSeconds: { $sum: '$seconds' } } }
+      ])
+    ]);
+
+    const byAuthor = new Map();
+    const entry = (authorId) => {
+      const key = authorId.toString();
+      if (!byAuthor.has(key)) {
+        byAuthor.set(key, { author: authorId, follows: false, likes: 0, dwellSeconds: 0 });
+      }
+      return byAuthor.get(key);
+    };
+
+    followedIds.forEach(id => { entry(id).follows = true; });
+    likedAuthors.forEach(({ _id, likes }) => { entry(_id).likes = likes; });
+    readAuthors.forEach(({ _id, dwellSeconds }) => { entry(_id).dwellSeconds = dwellSeconds; });
+
+    // Own posts are not boosted
+    byAuthor.delete(userId.toString());
+
+    const affinities = [...byAuthor.values()]
+      .map(a => ({
+        ...a,
+        score:
+          (a.follows ? weights.follows : 0) +
+          weights.likes * Math.log1p(a.likes) +
+          weights.dwell * Math.log1p(a.dwellSeconds / 60)
+      }))
+      .filter(a => a.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, maxAuthors);
+
+    // The run before is kept on each row for For You cursors ranked with it
+    const stored = await FeedAffinity.find({ user: userId }).select('author score computedAt').lean();
+    const storedByAuthor = new Map(stored.map(a => [a.author.toString(), a]));
+    const previousOf = row => ({ score: row.score, computedAt: row.computedAt });
+
+    const operations = affinities.map((a) => {
+      const row = storedByAuthor.get(a.author.toString());
+      return {
+        updateOne: {
+          filter: { user: userId, author: a.author },
+          update: { $set: { ...a, computedAt: now, ...(row && { previous: previousOf(row) }) } },
+          upsert: true
+        }
+      };
+    });
+
+    // Authors the user no longer engages with drop to 0 for one run, then go
+    const current = new Set(affinities.map(a => a.author.toString()));
+    const dropped = stored.filter(a => !current.has(a.author.toString()));
+    dropped.filter(a => a.score > 0).forEach((a) => {
+      operations.push({
+        updateOne: {
+          filter: { _id: a._id },
+          update: { $set: { score: 0, computedAt: now, previous: previousOf(a) } }
+        }
+      });
+    });
+
+    if (operations.length > 0) {
+      await FeedAffinity.bulkWrite(operations, { ordered: false });
+    }
+
+    const gone = dropped.filter(a => !(a.score > 0)).map(a => a._id);
+    if (gone.length > 0) {
+      await FeedAffinity.deleteMany({ _id: { $in: gone } });
+    }
+
+    return affinities;
+  }
+}
+
+module.exports = new RankingService();
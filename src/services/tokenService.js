@@ -0,0 +1,325 @@
+// src/services/tokenService.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+const DeviceToken = require('../models/DeviceToken');
+const UserSession = require('../models/UserSession');
+const { getDeviceInfo } = require('./deviceService');
+const { getLocationFromIp } = require('./locationService');
+const authConfig = require('../config/auth');
+
+// Build an error carrying the HTTP status to respond with
+const tokenError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class TokenService {
+  /**
+   * Issue an access token + refresh token pair for a fresh login
+   * @param {Object} user - User document
+   * @param {Object} client - { ip, userAgent, device }
+   * @param {Object} options - { mfa: the login passed two-factor authentication }
+   * @returns {Object} { token, refreshToken, expiresIn, refreshTokenExpiresAt }
+   */
+  async issueTokens(user, client = {}, { mfa = false } = {}) {
+    return await this._createPair(user, crypto.randomUUID(), client, mfa);
+  }
+
+  /**
+   * Replace the live refresh token(s) of one login with a new pair in the same family,
+   * e.g. once it passed two-factor authentication. Unlike revoking, the device tokens and
+   * tracking session bound to the family are kept, so the device keeps getting pushes.
+   * @returns {Object} { token, refreshToken, expiresIn, refreshTokenExpiresAt }
+   */
+  async reissueTokens(user, family, client = {}, { mfa = false, reason = 'rotated' } = {}) {
+    await RefreshToken.updateMany(
+      { user: user._id, family, revokedAt: { $exists: false } },
+      { revokedAt: new Date(), revokedReason: reason }
+    );
+
+    return await this._createPair(user, family, client, mfa);
+  }
+
+  /**
+   * Short-lived token proving the password step of a 2FA login.
+   * Signed with a separate key so it can never pass as an access token.
+   */
+  createLoginChallenge(user, context) {
+    return jwt.sign(
+      { id: user._id, purpose: 'mfa_login', context },
+      this._challengeSecret(),
+      { expiresIn: authConfig.twoFactor.challengeExpire }
+    );
+  }
+
+  /**
+   * @returns {Object} { id, context } from a valid challenge token (throws otherwise)
+   */
+  verifyLoginChallenge(challengeToken) {
+    const decoded = jwt.verify(challengeToken, this._challengeSecret());
+    if (decoded.purpose !== 'mfa_login') {
+      throw tokenError(401, 'Invalid two-factor session');
+    }
+    return decoded;
+  }
+
+  /**
+   * Exchange a refresh token for a new pair; the presented token is retired.
+   * A token rotated less than `refreshReuseGraceSeconds` ago returns the same successor
+   * (two concurrent refreshes from one client); presenting it later means it leaked:
+   * the whole family is revoked.
+   */
+  async rotateRefreshToken(rawToken, client = {}) {
+    const current = await RefreshToken.findOne({ tokenHash: this._hash(rawToken) }).select('+successorToken');
+
+    if (!current) {
+      throw tokenError(401, 'Invalid refresh token');
+    }
+
+    if (current.revokedAt) {
+      const successor = await this._graceSuccessor(current, rawToken);
+      if (successor) return successor;
+
+      if (current.revokedReason === 'rotated') {
+        await this.revokeFamilies(current.user, [current.family], 'reuse_detected');
+        console.warn(`⚠️ Refresh token reuse detected for user ${current.user} (family ${current.family})`);
+      }
+      throw tokenError(401, 'Refresh token has been revoked. Please login again.');
+    }
+
+    if (current.expiresAt <= new Date()) {
+      throw tokenError(401, 'Refresh token has expired. Please login again.');
+    }
+
+    const user = await User.findById(current.user);
+    if (!user || !user.isActive) {
+      await this.revokeFamilies(current.user, [current.family], 'deactivated');
+      throw tokenError(401, 'Your account has been deactivated');
+    }
+
+    const pair = await this._createPair(user, current.family, client, current.mfa);
+
+    // Retire the presented token only if nobody else rotated it in the meantime
+    const retired = await RefreshToken.findOneAndUpdate(
+      { _id: current._id, revokedAt: { $exists: false } },
+      {
+        revokedAt: new Date(),
+        revokedReason: 'rotated',
+        lastUsedAt: new Date(),
+        replacedBy: pair.sessionId,
+        successorToken: this._seal(pair.refreshToken, rawToken)
+      },
+      { new: true }
+    );
+
+    if (!retired) {
+      // A concurrent refresh won: hand out its successor instead of ours
+      await RefreshToken.deleteOne({ _id: pair.sessionId });
+
+      const winner = await RefreshToken.findById(current._id).select('+successorToken');
+      const successor = winner && await this._graceSuccessor(winner, rawToken);
+      if (successor) return successor;
+
+      await this.revokeFamilies(current.user, [current.family], 'reuse_detected');
+      throw tokenError(401, 'Refresh token has been revoked. Please login again.');
+    }
+
+    return { user, ...pair };
+  }
+
+  /**
+   * Helper: The live successor of a token rotated within the grace window (null otherwise),
+   * with a fresh access token bound to it
+   */
+  async _graceSuccessor(retired, rawToken) {
+    if (retired.revokedReason !== 'rotated' || !retired.replacedBy || !retired.successorToken) return null;
+    if (Date.now() - retired.revokedAt > authConfig.refreshReuseGraceSeconds * 1000) return null;
+
+    const successor = await RefreshToken.findById(retired.replacedBy);
+    if (!successor || !successor.isActive()) return null;
+
+    const user = await User.findById(retired.user);
+    if (!user || !user.isActive) return null;
+
+    return {
+      user,
+      sessionId: successor._id,
+      token: user.generateAuthToken({ sessionId: successor._id, sessionFamily: successor.family, mfa: successor.mfa }),
+      refreshToken: this._unseal(retired.successorToken, rawToken),
+      expiresIn: authConfig.accessTokenExpire,
+      refreshTokenExpiresAt: successor.expiresAt
+    };
+  }
+
+  /**
+   * Helper: Encrypt a value with a key derived from a raw refresh token (AES-256-GCM).
+   * Only the stored hash of that token exists server-side, so the value can't be read without it.
+   */
+  _seal(value, rawToken) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this._sealKey(rawToken), iv);
+    const encrypted = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(b => b.toString('base64')).join('.');
+  }
+
+  _unseal(payload, rawToken) {
+    const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this._sealKey(rawToken), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  _sealKey(rawToken) {
+    return crypto.createHash('sha256').update(`seal:${rawToken}`).digest();
+  }
+
+  /**
+   * Revoke the session an access token belongs to, and/or a presented refresh token
+   */
+  async revokeSession({ sessionId, refreshToken, userId }) {
+    const filters = [];
+    if (sessionId) filters.push({ _id: sessionId });
+    if (refreshToken) filters.push({ tokenHash: this._hash(refreshToken) });
+    if (filters.length === 0) return 0;
+
+    const tokens = await RefreshToken.find({ user: userId, $or: filters }).select('family');
+    const families = [...new Set(tokens.map(t => t.family))];
+
+    await this.revokeFamilies(userId, families, 'logout');
+    return families.length;
+  }
+
+  /**
+   * Revoke every session of a user
+   * @param {Object} options - { except: session (family) to keep, e.g. the current one }
+   */
+  async revokeAllSessions(userId, reason = 'logout_all', { except } = {}) {
+    const families = await RefreshToken.distinct('family', {
+      user: userId,
+      revokedAt: { $exists: false },
+      ...(except && { family: { $ne: except } })
+    });
+
+    await this.revokeFamilies(userId, families, reason);
+    return families.length;
+  }
+
+  /**
+   * Revoke logins (refresh token families) and everything tied to them:
+   * the FCM device tokens registered under them and their open tracking sessions
+   * @returns {number} Refresh tokens revoked (0 when none of the sessions was live)
+   */
+  async revokeFamilies(userId, families, reason) {
+    if (families.length === 0) return 0;
+
+    const { modifiedCount } = await RefreshToken.updateMany(
+      { user: userId, family: { $in: families }, revokedAt: { $exists: false } },
+      { revokedAt: new Date(), revokedReason: reason }
+    );
+
+    await DeviceToken.updateMany(
+      { user: userId, authSession: { $in: families }, isActive: true },
+      { isActive: false }
+    );
+
+    const trackingSessions = await UserSession.find({
+      user: userId,
+      authSession: { $in: families },
+      status: { $in: ['active', 'idle'] }
+    });
+    for (const session of trackingSessions) {
+      await session.endSession();
+    }
+
+    return modifiedCount;
+  }
+
+  /**
+   * List a user's live logins ("where you're logged in"), newest activity first
+   * @param {string} currentFamily - Session of the requesting access token, flagged as current
+   */
+  async listSessions(userId, currentFamily) {
+    const active = await RefreshToken.find({
+      user: userId,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    if (active.length === 0) return [];
+
+    // First token of each family = when that login happened
+    const firstSeen = await RefreshToken.aggregate([
+      { $match: { user: active[0].user, family: { $in: active.map(t => t.family) } } },
+      { $group: { _id: '$family', signedInAt: { $min: '$createdAt' } } }
+    ]);
+    const signedInAt = new Map(firstSeen.map(f => [f._id, f.signedInAt]));
+
+    // One lookup per distinct IP
+    const ips = [...new Set(active.map(t => t.ip).filter(Boolean))];
+    const locations = new Map(await Promise.all(
+      ips.map(async ip => [ip, await getLocationFromIp(ip)])
+    ));
+
+    return active.map(t => ({
+      id: t.family,
+      device: t.userAgent ? getDeviceInfo(t.userAgent) : (t.device || 'Unknown Device'),
+      ip: t.ip,
+      location: locations.get(t.ip) || null,
+      signedInAt: signedInAt.get(t.family) || t.createdAt,
+      lastActiveAt: t.createdAt,
+      expiresAt: t.expiresAt,
+      isCurrent: t.family === currentFamily
+    }));
+  }
+
+  /**
+   * Whether the session (refresh token) an access token was minted with is still live.
+   * Rotation, logout and deactivation all revoke it.
+   */
+  async isSessionActive(sessionId) {
+    const token = await RefreshToken.findById(sessionId).select('revokedAt expiresAt');
+    return !!token && token.isActive();
+  }
+
+  /**
+   * Helper: Persist a refresh token and sign the access token bound to it
+   */
+  async _createPair(user, family, client, mfa = false) {
+    const rawToken = crypto.randomBytes(48).toString('hex');
+    const expiresAt = new Date(Date.now() + authConfig.refreshTokenExpireDays * 24 * 60 * 60 * 1000);
+
+    const refresh = await RefreshToken.create({
+      user: user._id,
+      tokenHash: this._hash(rawToken),
+      family,
+      expiresAt,
+      mfa,
+      ip: client.ip,
+      userAgent: client.userAgent,
+      device: client.device
+    });
+
+    return {
+      sessionId: refresh._id,
+      token: user.generateAuthToken({ sessionId: refresh._id, sessionFamily: family, mfa }),
+      refreshToken: rawToken,
+      expiresIn: authConfig.accessTokenExpire,
+      refreshTokenExpiresAt: expiresAt
+    };
+  }
+
+  _challengeSecret() {
+    return `${process.env.JWT_SECRET}:mfa-challenge`;
+  }
+
+  _hash(rawToken) {
+    return crypto.createHash('sha256').update(String(rawToken)).digest('hex');
+  }
+}
+
+module.exports = new TokenService();
@@ -0,0 +1,156 @@
+// src/services/totpService.js
+const crypto = require('crypto');
+const authConfig = require('../config/auth');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * RFC 6238 time-based one-time passwords (Google Authenticator compatible:
+ * SHA-1, 6 digits, 30-second steps) plus backup codes
+ */
+class TotpService {
+  /**
+   * Generate a new base32 shared secret (160 bits)
+   */
+  generateSecret() {
+    return this._base32Encode(crypto.randomBytes(20));
+  }
+
+  /**
+   * otpauth:// URI for authenticator apps (render it as a QR code client-side)
+   */
+  buildOtpAuthUri(secret, accountName) {
+    const { issuer, digits, period } = authConfig.twoFactor;
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer,
+      algorithm: 'SHA1',
+      digits: String(digits),
+      period: String(period)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  /**
+   * Check a code against the secret, allowing ±window steps of clock drift
+   * @param {number} lastUsedStep - Step of the last accepted code; older/equal steps are replays
+   * @returns {number|null} Matching time step, or null when the code is wrong
+   */
+  verify(secret, code, lastUsedStep = -1) {
+    const { window } = authConfig.twoFactor;
+    const candidate = String(code || '').replace(/\s/g, '');
+    if (!/^\d+$/.test(candidate)) return null;
+
+    const currentStep = this._currentStep();
+    for (let offset = -window; offset <= window; offset++) {
+      const step = currentStep + offset;
+      if (step <= lastUsedStep) continue;
+
+      const expected = this.generateCode(secret, step);
+      if (expected.length === candidate.length &&
+          crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+        return step;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * HOTP value for a time step
+   */
+  generateCode(secret, step = this._currentStep()) {
+    const { digits } = authConfig.twoFactor;
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', this._base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return (binary % 10 ** digits).toString().padStart(digits, '0');
+  }
+
+  /**
+   * Generate single-use backup codes
+   * @returns {Object} { codes: plain codes shown to the user once, hashes: what gets stored }
+   */
+  generateBackupCodes() {
+    const codes = Array.from({ length: authConfig.twoFactor.backupCodeCount }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    return { codes, hashes: codes.map(code => this.hashBackupCode(code)) };
+  }
+
+  hashBackupCode(code) {
+    const normalized = String(code).toLowerCase().replace(/[^a-f0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  /**
+   * Encrypt the shared secret for storage (AES-256-GCM)
+   */
+  encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this._encryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(b => b.toString('base64')).join('.');
+  }
+
+  decryptSecret(payload) {
+    const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this._encryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  _currentStep() {
+    return Math.floor(Date.now() / 1000 / authConfig.twoFactor.period);
+  }
+
+  _encryptionKey() {
+    const key = process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET;
+    return crypto.createHash('sha256').update(String(key)).digest();
+  }
+
+  _base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+  }
+
+  _base32Decode(input) {
+    const clean = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) throw new Error('Invalid base32 secret');
+      value = (value << 5) | index;
+      bits += 5;
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 0xff);
+        bits -= 8;
+      }
+    }
+    return Buffer.from(bytes);
+  }
+}
+
+module.exports = new TotpService();
@@ -0,0 +1,300 @@
+// src/services/userImportService.js
+const User = require('../models/User');
+const tokenService = require('./tokenService');
+
+// bcrypt hashes from the legacy platform ($2a$/$2b$/$2y$), stored as-is
+const BCRYPT_HASH = /^\$2[aby]\$\d{2}\$[./A-Za-z0-9]{53}$/;
+
+// Case-insensitive matching for emails and user names
+const CASE_INSENSITIVE = { locale: 'en', strength: 2 };
+
+class UserImportService {
+  /**
+   * Upsert users from the legacy trading-platform export (users.json).
+   * Idempotent: records are matched on their legacy id, then linked to an existing account by email.
+   * Writes go through bulkWrite, so the `pre('save')` hook never re-hashes the imported bcrypt hashes.
+   * @param {Array} records - Parsed users.json entries
+   * @param {Object} options - { dryRun, includeDeleted, mediaBaseUrl, grantAdmin }
+   *   dryRun: only build the report
+   *   includeDeleted: create accounts deleted upstream (inactive) instead of skipping them
+   *   mediaBaseUrl: prefix for relative `profile_image` file names
+   *   grantAdmin: create upstream ADMINs as ADMIN (otherwise they are created as USER)
+   * @returns {Object} Import report
+   */
+  async importUsers(records, { dryRun = false, includeDeleted = false, mediaBaseUrl, grantAdmin = false } = {}) {
+    const report = {
+      dryRun,
+      total: records.length,
+      created: 0,
+      updated: 0,
+      linked: 0,
+      deactivated: 0,
+      skipped: [],
+      conflicts: [],
+      // Upstream 2FA secrets are not in the export; these users must enroll again
+      mfaNotMigrated: [],
+      // Upstream ADMINs created as USER (pass grantAdmin to keep the role)
+      adminNotGranted: []
+    };
+
+    const existing = await this._loadExisting(records);
+    // Agora uids already taken (bulkWrite skips the pre('save') hook that assigns them)
+    const takenAgoraUids = new Set(dryRun ? [] : await User.distinct('agoraUid'));
+    const seen = { legacyId: new Set(), email: new Set(), userName: new Set() };
+    const operations = [];
+    const deactivatedUserIds = [];
+
+    for (const record of records) {
+      const mapped = this._mapRecord(record, mediaBaseUrl);
+      const ref = { legacyId: record.id, email: mapped.email, userName: mapped.userName };
+
+      const invalid = this._validate(mapped);
+      if (invalid) {
+        report.skipped.push({ ...ref, reason: invalid });
+        continue;
+      }
+
+      // Duplicates inside the export itself
+      const duplicate = ['legacyId', 'email', 'userName'].find(field =>
+        seen[field].has(this._key(mapped[field]))
+      );
+      if (duplicate) {
+        report.conflicts.push({ ...ref, field: duplicate, reason: `Duplicate ${duplicate} in import file` });
+        continue;
+      }
+      ['legacyId', 'email', 'userName'].forEach(field => seen[field].add(this._key(mapped[field])));
+
+      const target = existing.byLegacyId.get(mapped.legacyId) || existing.byEmail.get(this._key(mapped.email));
+
+      const conflict = this._findConflict(mapped, target, existing);
+      if (conflict) {
+        report.conflicts.push({ ...ref, ...conflict });
+        continue;
+      }
+
+      if (mapped.deleted && !target && !includeDeleted) {
+        report.skipped.push({ ...ref, reason: 'Deleted upstream' });
+        continue;
+      }
+
+      if (mapped.mfaEnabled) {
+        report.mfaNotMigrated.push(ref);
+      }
+
+      // Roles are only taken from the export on creation; never ADMIN unless asked for
+      if (!target && mapped.role === 'ADMIN' && !grantAdmin) {
+        mapped.role = 'USER';
+        report.adminNotGranted.push(ref);
+      }
+
+      if (!target) {
+        report.created += 1;
+      } else if (target.legacyId === mapped.legacyId) {
+        report.updated += 1;
+      } else {
+        report.linked += 1;
+      }
+
+      if (mapped.deleted && target && target.isActive) {
+        report.deactivated += 1;
+        deactivatedUserIds.push(target._id);
+      }
+
+      operations.push(this._buildUpsert(mapped, target, takenAgoraUids));
+    }
+
+    if (!dryRun && operations.length > 0) {
+      await User.bulkWrite(operations, { ordered: false });
+
+      for (const userId of deactivatedUserIds) {
+        await tokenService.revokeAllSessions(userId, 'deactivated');
+      }
+    }
+
+    return report;
+  }
+
+  /**
+   * Helper: Legacy record → User fields
+   */
+  _mapRecord(record, mediaBaseUrl) {
+    const userName = typeof record.user_name === 'string' ? record.user_name.trim() : '';
+    const name = typeof record.name === 'string' ? record.name.trim() : '';
+    const role = typeof record.role === 'string' ? record.role.toUpperCase() : 'USER';
+
+    return {
+      legacyId: Number(record.id),
+      userName,
+      name: (name || userName).slice(0, 50),
+      email: typeof record.email === 'string' ? record.email.trim().toLowerCase() : '',
+      password: record.password,
+      phone: record.mobile ? String(record.mobile).trim() : null,
+      countryCode: record.country_code || null,
+      country: record.country || null,
+      avatar: this._avatarUrl(record.profile_image, mediaBaseUrl),
+      role: User.schema.path('role').enumValues.includes(role) ? role : 'USER',
+      isEmailVerified: record.is_email_verified === true,
+      isPhoneVerified: record.is_mobile_verified === true,
+      isKycVerified: record.is_kyc_verified === true,
+      isIb: record.is_ib === true,
+      mfaEnabled: record.is_mfa_added === true,
+      deleted: record.is_deleted === true,
+      deletedAt: this._parseDate(record.deleted_at) || this._parseDate(record.updated_at) || new Date(),
+      createdAt: this._parseDate(record.created_at) || new Date()
+    };
+  }
+
+  _validate(mapped) {
+    if (!Number.isInteger(mapped.legacyId)) return 'Missing id';
+    if (!mapped.email) return 'Missing email';
+    if (!mapped.userName) return 'Missing user_name';
+    if (!BCRYPT_HASH.test(mapped.password || '')) return 'Password is not a bcrypt hash';
+    return null;
+  }
+
+  /**
+   * Helper: Why a record cannot be applied to the target account (null when it can)
+   */
+  _findConflict(mapped, target, existing) {
+    const emailOwner = existing.byEmail.get(this._key(mapped.email));
+    if (emailOwner && (!target || !emailOwner._id.equals(target._id))) {
+      return { field: 'email', reason: 'Email belongs to another account', existingUserId: emailOwner._id };
+    }
+    if (target && target.legacyId && target.legacyId !== mapped.legacyId) {
+      return { field: 'email', reason: `Email is linked to legacy user ${target.legacyId}`, existingUserId: target._id };
+    }
+
+    const userNameOwner = existing.byUserName.get(this._key(mapped.userName));
+    if (userNameOwner && (!target || !userNameOwner._id.equals(target._id))) {
+      return { field: 'userName', reason: 'User name belongs to another account', existingUserId: userNameOwner._id };
+    }
+
+    return null;
+  }
+
+  /**
+   * Helper: bulkWrite upsert for one record.
+   * Profile fields follow upstream; password, role, active state and local verification are never downgraded.
+   */
+  _buildUpsert(mapped, target, takenAgoraUids) {
+    const now = new Date();
+    const set = {
+      legacyId: mapped.legacyId,
+      userName: mapped.userName,
+      name: mapped.name,
+      email: mapped.email,
+      countryCode: mapped.countryCode,
+      isKycVerified: mapped.isKycVerified,
+      isIb: mapped.isIb,
+      updatedAt: now
+    };
+    const setOnInsert = {
+      password: mapped.password,
+      // Local role changes are kept on re-runs
+      role: mapped.role,
+      agoraUid: this._newAgoraUid(takenAgoraUids),
+      isActive: !mapped.deleted,
+      createdAt: mapped.createdAt
+    };
+    const unset = {};
+
+    // Accounts left without one by earlier imports
+    if (target && !target.agoraUid) set.agoraUid = this._newAgoraUid(takenAgoraUids);
+
+    if (mapped.country) set['location.country'] = mapped.country;
+    if (mapped.avatar) set.avatar = mapped.avatar;
+
+    if (mapped.isEmailVerified) {
+      set.isEmailVerified = true;
+      if (!target || !target.isEmailVerified) set.emailVerifiedAt = now;
+    } else {
+      setOnInsert.isEmailVerified = false;
+    }
+
+    if (mapped.phone) {
+      set.phone = mapped.phone;
+      // A different number has to be verified again unless upstream already did
+      if (!target || target.phone !== mapped.phone || mapped.isPhoneVerified) {
+        set.isPhoneVerified = mapped.isPhoneVerified;
+        set.phoneVerifiedAt = mapped.isPhoneVerified ? now : null;
+      }
+    }
+
+    if (mapped.deleted) {
+      set.deletedAt = mapped.deletedAt;
+      if (target) set.isActive = false;
+    } else {
+      unset.deletedAt = '';
+    }
+
+    const update = { $set: set, $setOnInsert: setOnInsert };
+    if (Object.keys(unset).length > 0) update.$unset = unset;
+
+    return {
+      updateOne: {
+        filter: target ? { _id: target._id } : { legacyId: mapped.legacyId },
+        update,
+        upsert: !target,
+        timestamps: false
+      }
+    };
+  }
+
+  /**
+   * Helper: Random Agora uid (same range as the User pre('save') hook) not used by anyone yet
+   */
+  _newAgoraUid(taken) {
+    let uid;
+    do {
+      uid = Math.floor(Math.random() * 1000000) + 1;
+    } while (taken.has(uid));
+    taken.add(uid);
+    return uid;
+  }
+
+  /**
+   * Helper: Accounts the import could touch, indexed by legacy id, email and user name
+   */
+  async _loadExisting(records) {
+    const legacyIds = records.map(r => Number(r.id)).filter(Number.isInteger);
+    const emails = records.map(r => r.email).filter(e => typeof e === 'string').map(e => e.trim().toLowerCase());
+    const userNames = records.map(r => r.user_name).filter(n => typeof n === 'string').map(n => n.trim());
+
+    const users = await User.find({
+      $or: [
+        { legacyId: { $in: legacyIds } },
+        { email: { $in: emails } },
+        { userName: { $in: userNames } }
+      ]
+    })
+      .select('legacyId email userName phone isActive isEmailVerified agoraUid')
+      .collation(CASE_INSENSITIVE)
+      .lean();
+
+    const index = { byLegacyId: new Map(), byEmail: new Map(), byUserName: new Map() };
+    for (const user of users) {
+      if (user.legacyId) index.byLegacyId.set(user.legacyId, user);
+      if (user.email) index.byEmail.set(this._key(user.email), user);
+      if (user.userName) index.byUserName.set(this._key(user.userName), user);
+    }
+    return index;
+  }
+
+  _avatarUrl(profileImage, mediaBaseUrl) {
+    if (!profileImage) return null;
+    if (/^https?:\/\//i.test(profileImage)) return profileImage;
+    return mediaBaseUrl ? `${mediaBaseUrl.replace(/\/+$/, '')}/${profileImage}` : null;
+  }
+
+  _parseDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  _key(value) {
+    return String(value).toLowerCase();
+  }
+}
+
+module.exports = new UserImportService();
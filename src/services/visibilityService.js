@@ -0,0 +1,74 @@
+// src/services/visibilityService.js
+const Follow = require('../models/Follow');
+const permissionService = require('./permissionService');
+
+/**
+ * Who may see a post, by its `visibility`:
+ *   public    → everyone, including anonymous viewers
+ *   followers → the author and users with an active, accepted follow of the author
+ *   private   → the author only
+ * Moderators (`posts.moderate`) can open any single post. Feeds and lists always apply the policy.
+ */
+class VisibilityService {
+  /**
+   * Authors the viewer follows (active and accepted follows only)
+   */
+  async getFollowedAuthorIds(viewerId) {
+    if (!viewerId) return [];
+    return await Follow.distinct('following', {
+      follower: viewerId,
+      isActive: true,
+      status: 'accepted'
+    });
+  }
+
+  /**
+   * Mongo filter for the posts a viewer may see; combine it with other conditions via `$and`
+   * @param {Object|null} viewer - req.user (null for anonymous)
+   * @param {Array} followedIds - Pass when already loaded to skip the Follow query
+   */
+  async buildPostFilter(viewer, followedIds) {
+    // Posts created before `visibility` existed have no value and are public
+    const isPublic = { visibility: { $in: ['public', null] } };
+    if (!viewer) return isPublic;
+
+    const followed = followedIds || await this.getFollowedAuthorIds(viewer._id);
+
+    return {
+      $or: [
+        isPublic,
+        { user: viewer._id },
+        { visibility: 'followers', user: { $in: followed } }
+      ]
+    };
+  }
+
+  /**
+   * Whether a viewer may see one post
+   * @param {Object|null} viewer - req.user (null for anonymous)
+   * @param {Object} post - Post document or lean object (`user` may be populated)
+   */
+  async canViewPost(viewer, post) {
+    const visibility = post.visibility || 'public';
+    if (visibility === 'public') return true;
+    if (!viewer) return false;
+
+    const authorId = post.user?._id || post.user;
+    if (authorId && authorId.toString() === viewer._id.toString()) return true;
+
+    if (await permissionService.hasPermission(viewer, 'posts.moderate')) return true;
+
+    if (visibility === 'followers') {
+      return !!(await Follow.exists({
+        follower: viewer._id,
+        following: authorId,
+        isActive: true,
+        status: 'accepted'
+      }));
+    }
+
+    return false;
+  }
+}
+
+module.exports = new VisibilityService();
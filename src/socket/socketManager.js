@@ -0,0 +1,182 @@
+// src/socket/socketManager.js
+const { Server } = require('socket.io');
+const User = require('../models/User');
+const { resolveUserFromToken, missingMfa } = require('../middleware/authMiddleware');
+const permissionService = require('../services/permissionService');
+
+// ──────────────────────────────
+// Rooms & Event Names
+// ──────────────────────────────
+// Staff who review posts (holders of `posts.moderate`, from a session that meets the 2FA rule)
+const ADMIN_ROOM = 'admins';
+const userRoom = (userId) => `user:${userId.toString()}`;
+
+const EVENTS = {
+  NOTIFICATION_NEW: 'notification:new',
+  POST_REVIEW: 'post:review',
+  POST_STATUS: 'post:status',
+  COMMENT_NEW: 'comment:new',
+  CALL_INCOMING: 'call:incoming',
+  CALL_RINGING: 'call:ringing',
+  CALL_ANSWERED: 'call:answered',
+  CALL_REJECTED: 'call:rejected',
+  CALL_ENDED: 'call:ended',
+  CALL_MISSED: 'call:missed',
+  GROUP_CALL_INVITE: 'group-call:invite',
+  GROUP_CALL_JOINED: 'group-call:participant-joined',
+  GROUP_CALL_LEFT: 'group-call:participant-left'
+};
+
+class SocketManager {
+  constructor() {
+    this.io = null;
+  }
+
+  /**
+   * Attach Socket.IO to the HTTP server
+   * @param {http.Server} server - Server returned by app.listen
+   * @returns {Server} Socket.IO server
+   */
+  init(server) {
+    if (this.io) return this.io;
+
+    this.io = new Server(server, {
+      cors: {
+        origin: '*',
+        credentials: true
+      }
+    });
+
+    // Authenticate the handshake with the same JWT logic as `protect`
+    this.io.use(async (socket, next) => {
+      try {
+        const token = this._extractToken(socket.handshake);
+        if (!token) {
+          return next(new Error('Not authorized. Please login.'));
+        }
+
+        const { user, mfaVerified } = await resolveUserFromToken(token);
+        socket.user = user;
+        // Kept in `data` so the rooms can be re-checked later through fetchSockets()
+        socket.data = { userId: user._id.toString(), mfaVerified };
+        next();
+      } catch (error) {
+        console.error('Socket auth error:', error.message);
+        next(new Error(error.statusCode ? error.message : 'Token is invalid or expired'));
+      }
+    });
+
+    this.io.on('connection', async (socket) => {
+      const { user } = socket;
+
+      socket.join(userRoom(user._id));
+      await this._syncAdminRoom(socket, user);
+
+      console.log(`🔌 Socket connected: ${socket.id} (user ${user._id})`);
+
+      socket.on('disconnect', (reason) => {
+        console.log(`🔌 Socket disconnected: ${socket.id} (${reason})`);
+      });
+    });
+
+    console.log('Socket.IO gateway initialized');
+    return this.io;
+  }
+
+  /**
+   * Emit an event to every socket of a user
+   */
+  emitToUser(userId, event, payload = {}) {
+    if (!this.io || !userId) return false;
+    this.io.to(userRoom(userId)).emit(event, payload);
+    return true;
+  }
+
+  /**
+   * Emit an event to several users at once
+   */
+  emitToUsers(userIds, event, payload = {}) {
+    if (!this.io || !userIds || userIds.length === 0) return false;
+    this.io.to(userIds.map(userRoom)).emit(event, payload);
+    return true;
+  }
+
+  /**
+   * Emit an event to all connected admins
+   */
+  emitToAdmins(event, payload = {}) {
+    if (!this.io) return false;
+    this.io.to(ADMIN_ROOM).emit(event, payload);
+    return true;
+  }
+
+  /**
+   * Check whether a user has at least one open socket
+   */
+  async isUserOnline(userId) {
+    if (!this.io) return false;
+    const sockets = await this.io.in(userRoom(userId)).fetchSockets();
+    return sockets.length > 0;
+  }
+
+  /**
+   * Re-check admin room membership of open sockets after a role or permission change
+   * @param {string} [userId] - Only this user's sockets (default: every socket)
+   */
+  async refreshAdminRoom(userId) {
+    if (!this.io) return;
+
+    try {
+      const sockets = await (userId ? this.io.in(userRoom(userId)) : this.io).fetchSockets();
+      if (sockets.length === 0) return;
+
+      const userIds = [...new Set(sockets.map(socket => socket.data.userId))];
+      const users = await User.find({ _id: { $in: userIds } }).select('role isActive twoFactor.enabled');
+      const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+      await Promise.all(sockets.map(socket => this._syncAdminRoom(socket, usersById.get(socket.data.userId))));
+    } catch (error) {
+      console.error('Socket admin room refresh error:', error.message);
+    }
+  }
+
+  /**
+   * Helper: Join or leave the admin room, with the same rules as `authorizePermission('posts.moderate')`
+   */
+  async _syncAdminRoom(socket, user) {
+    try {
+      const allowed = Boolean(user && user.isActive)
+        && !missingMfa(user, socket.data.mfaVerified)
+        && await permissionService.hasPermission(user, 'posts.moderate');
+
+      if (allowed) {
+        socket.join(ADMIN_ROOM);
+      } else {
+        socket.leave(ADMIN_ROOM);
+      }
+    } catch (error) {
+      console.error('Socket room join error:', error.message);
+    }
+  }
+
+  /**
+   * Helper: Read the JWT from auth payload, Authorization header or query string
+   */
+  _extractToken(handshake) {
+    if (handshake.auth && handshake.auth.token) {
+      return handshake.auth.token.replace(/^Bearer\s+/i, '');
+    }
+
+    const header = handshake.headers && handshake.headers.authorization;
+    if (header && header.startsWith('Bearer')) {
+      return header.split(' ')[1];
+    }
+
+    return handshake.query && handshake.query.token;
+  }
+}
+
+const socketManager = new SocketManager();
+socketManager.EVENTS = EVENTS;
+
+module.exports = socketManager;
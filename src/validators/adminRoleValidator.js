@@ -0,0 +1,28 @@
+// src/validators/adminRoleValidator.js
+const { body, param } = require('express-validator');
+const { ROLES, PERMISSIONS } = require('../config/permissions');
+
+/**
+ * Validate role param
+ */
+exports.roleParam = [
+  param('role')
+    .customSanitizer(value => value.toUpperCase())
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(', ')}`)
+];
+
+/**
+ * Validate role permission update
+ */
+exports.rolePermissionsValidation = [
+  ...exports.roleParam,
+
+  body('permissions')
+    .isArray()
+    .withMessage('permissions must be an array'),
+
+  body('permissions.*')
+    .isIn(Object.keys(PERMISSIONS))
+    .withMessage('Unknown permission')
+];
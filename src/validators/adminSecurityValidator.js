@@ -0,0 +1,66 @@
+// src/validators/adminSecurityValidator.js
+const { param, query } = require('express-validator');
+
+/**
+ * Query validation for the lockout list
+ */
+exports.lockoutListValidation = [
+  query('type')
+    .optional()
+    .isIn(['account', 'ip'])
+    .withMessage('Type must be "account" or "ip"'),
+
+  query('active')
+    .optional()
+    .isBoolean()
+    .withMessage('active must be true or false'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+/**
+ * Validate lockout id param
+ */
+exports.lockoutIdParam = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid lockout ID format')
+];
+
+/**
+ * Query validation for flagged logins
+ */
+exports.suspiciousLoginValidation = [
+  query('level')
+    .optional()
+    .isIn(['low', 'medium', 'high'])
+    .withMessage('Level must be low, medium or high'),
+
+  query('flag')
+    .optional()
+    .isIn(['new_device', 'new_country', 'impossible_travel'])
+    .withMessage('Invalid risk flag'),
+
+  query('userId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid date')
+];
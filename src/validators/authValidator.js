@@ -1,5 +1,5 @@
 // src/validators/authValidator.js
-const { body } = require('express-validator');
+const { body, param } = require('express-validator');
 
 
 
@@ -117,4 +117,111 @@ exports.updateProfileValidation = [
     .optional()
     .matches(/^[0-9]{10,15}$/)
     .withMessage('Invalid phone number')
+];
+
+exports.refreshTokenValidation = [
+  body('refreshToken')
+    .notEmpty().withMessage('Refresh token is required')
+    .isString().withMessage('Refresh token must be a string')
+];
+
+exports.logoutValidation = [
+  body('refreshToken')
+    .optional()
+    .isString().withMessage('Refresh token must be a string'),
+
+  body('allDevices')
+    .optional()
+    .isBoolean().withMessage('allDevices must be a boolean')
+    .toBoolean()
+];
+
+exports.changePasswordValidation = [
+  body('currentPassword')
+    .notEmpty().withMessage('Current password is required'),
+
+  body('newPassword')
+    .notEmpty().withMessage('New password is required')
+    .isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+];
+
+exports.forgotPasswordValidation = [
+  body('email')
+    .trim()
+    .notEmpty().withMessage('Email is required')
+    .isEmail().withMessage('Please provide a valid email'),
+
+  body('channel')
+    .optional()
+    .isIn(['email', 'sms']).withMessage('Channel must be "email" or "sms"')
+];
+
+exports.resetPasswordValidation = [
+  body('email')
+    .trim()
+    .notEmpty().withMessage('Email is required')
+    .isEmail().withMessage('Please provide a valid email'),
+
+  body('code')
+    .trim()
+    .notEmpty().withMessage('Code is required')
+    .isNumeric().withMessage('Code must be numeric')
+    .isLength({ min: 6, max: 6 }).withMessage('Code must be 6 digits'),
+
+  body('newPassword')
+    .notEmpty().withMessage('New password is required')
+    .isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+];
+
+exports.sendVerificationValidation = [
+  param('channel')
+    .isIn(['email', 'phone']).withMessage('Channel must be "email" or "phone"')
+];
+
+exports.confirmVerificationValidation = [
+  param('channel')
+    .isIn(['email', 'phone']).withMessage('Channel must be "email" or "phone"'),
+
+  body('code')
+    .trim()
+    .notEmpty().withMessage('Code is required')
+    .isNumeric().withMessage('Code must be numeric')
+    .isLength({ min: 6, max: 6 }).withMessage('Code must be 6 digits')
+];
+
+exports.loginTwoFactorValidation = [
+  body('mfaToken')
+    .notEmpty().withMessage('mfaToken is required'),
+
+  body('code')
+    .if(body('backupCode').not().exists())
+    .trim()
+    .notEmpty().withMessage('Code or backup code is required')
+    .isNumeric().withMessage('Code must be numeric'),
+
+  body('backupCode')
+    .optional()
+    .isString().withMessage('Backup code must be a string')
+];
+
+exports.twoFactorCodeValidation = [
+  body('code')
+    .trim()
+    .notEmpty().withMessage('Code is required')
+    .isNumeric().withMessage('Code must be numeric')
+];
+
+exports.disableTwoFactorValidation = [
+  body('password')
+    .notEmpty().withMessage('Password is required'),
+
+  body('code')
+    .if(body('backupCode').not().exists())
+    .trim()
+    .notEmpty().withMessage('Code or backup code is required')
+    .isNumeric().withMessage('Code must be numeric'),
+
+  body('backupCode')
+    .optional()
+    .isString().withMessage('Backup code must be a string')
 ];
\ No newline at end of file
@@ -1,5 +1,6 @@
 // src/validators/notificationValidator.js
 const { body, param, query } = require('express-validator');
+const { ROLES } = require('../config/permissions');
 
 /**
  * Validate device token registration
@@ -181,7 +182,7 @@ exports.sendByRoleValidation = [
   body('role')
     .notEmpty()
     .withMessage('Role is required')
-    .isIn(['USER', 'ADMIN'])
+    .isIn(ROLES)
     .withMessage('Invalid role'),
 
   body('title')
@@ -1,5 +1,5 @@
 // src/validators/postValidator.js
-const { body } = require('express-validator');
+const { body, param, query } = require('express-validator');
 
 exports.createPostValidation = [
   body('text')
@@ -11,7 +11,7 @@ exports.createPostValidation = [
     .withMessage('Invalid post type'),
   body('visibility')
     .optional()
-    .isIn(['public', 'private', 'friends'])
+    .isIn(['public', 'private', 'followers'])
     .default('public'),
   body('poll.question')
     .if(body('postType').equals('poll'))
@@ -25,4 +25,56 @@ exports.createPostValidation = [
     .trim()
     .notEmpty()
     .withMessage('Poll option cannot be empty')
+];
+
+exports.feedValidation = [
+  query('cursor')
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Invalid feed cursor'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 30 })
+    .withMessage('Limit must be between 1 and 30')
+];
+
+exports.hashtagParam = [
+  param('tag')
+    .trim()
+    .matches(/^#?[\p{L}\p{N}_]{1,50}$/u)
+    .withMessage('Invalid hashtag')
+];
+
+exports.symbolParam = [
+  param('symbol')
+    .trim()
+    .matches(/^\$?[A-Za-z][A-Za-z0-9]{1,14}$/)
+    .withMessage('Invalid symbol'),
+  query('direction')
+    .optional()
+    .isIn(['long', 'short'])
+    .withMessage('Direction must be "long" or "short"')
+];
+
+exports.trendingValidation = [
+  query('hours')
+    .optional()
+    .isInt({ min: 1, max: 720 })
+    .withMessage('Hours must be between 1 and 720'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+];
+
+exports.searchValidation = [
+  query('q')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Search query must be 1-100 characters'),
+  query('sort')
+    .optional()
+    .isIn(['relevance', 'recent'])
+    .withMessage('Sort must be "relevance" or "recent"')
 ];
\ No newline at end of file
@@ -85,7 +85,11 @@ exports.trackScreenValidation = [
 
   body('loadTime').optional().isInt({ min: 0 }).withMessage('Load time must be positive'),
   body('referrer').optional().isString().trim(),
-  body('metadata').optional().isObject()
+  body('metadata').optional().isObject(),
+  body('metadata.postId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid post ID')
 ];
 
 /**
@@ -29,4 +29,13 @@ exports.userIdParam = [
   param('userId')
     .isMongoId()
     .withMessage('Invalid user ID format')
+];
+
+/**
+ * Validate session id (login id returned by GET /users/sessions)
+ */
+exports.sessionIdParam = [
+  param('sessionId')
+    .isUUID()
+    .withMessage('Invalid session ID format')
 ];
\ No newline at end of file
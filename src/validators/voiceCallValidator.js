@@ -0,0 +1,127 @@
+// src/validators/voiceCallValidator.js
+const { body, param, query } = require('express-validator');
+
+/**
+ * Validation for post-call feedback
+ */
+exports.callFeedbackValidation = [
+  param('callId')
+    .notEmpty()
+    .withMessage('Call ID is required'),
+
+  body('rating')
+    .notEmpty().withMessage('Rating is required')
+    .isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5')
+    .toInt(),
+
+  body('issues')
+    .optional()
+    .isArray({ max: 7 })
+    .withMessage('Issues must be an array'),
+  body('issues.*')
+    .isIn(['echo', 'drop', 'latency', 'noise', 'no_audio', 'one_way_audio', 'choppy'])
+    .withMessage('Invalid issue tag'),
+
+  body('comment')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Comment cannot exceed 500 characters'),
+
+  body('networkType')
+    .optional()
+    .isIn(['wifi', '5g', '4g', '3g', '2g'])
+    .withMessage('Invalid network type'),
+
+  body('networkStats').optional().isObject().withMessage('Network stats must be an object'),
+  body('networkStats.jitter').optional().isFloat({ min: 0 }).toFloat(),
+  body('networkStats.packetLoss').optional().isFloat({ min: 0, max: 100 }).toFloat(),
+  body('networkStats.mos').optional().isFloat({ min: 1, max: 5 }).toFloat(),
+  body('networkStats.rtt').optional().isFloat({ min: 0 }).toFloat()
+];
+
+/**
+ * Validation for creating a group call
+ */
+exports.createGroupCallValidation = [
+  body('participantIds')
+    .optional()
+    .isArray()
+    .withMessage('participantIds must be an array'),
+  body('participantIds.*')
+    .isMongoId()
+    .withMessage('Invalid participant ID')
+];
+
+/**
+ * Validation for inviting users to a group call
+ */
+exports.groupInviteValidation = [
+  param('callId')
+    .notEmpty()
+    .withMessage('Call ID is required'),
+
+  body('participantIds')
+    .isArray({ min: 1 })
+    .withMessage('participantIds array is required'),
+  body('participantIds.*')
+    .isMongoId()
+    .withMessage('Invalid participant ID')
+];
+
+/**
+ * Query validation for admin call analytics
+ */
+exports.callAnalyticsValidation = [
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid date'),
+
+  query('callType')
+    .optional()
+    .isIn(['admin_to_user', 'user_to_user', 'group'])
+    .withMessage('Invalid call type')
+];
+
+/**
+ * Query validation for the admin call list and call-center analytics
+ */
+exports.adminCallListValidation = [
+  ...exports.callAnalyticsValidation,
+
+  // One or many: ?status=missed or ?status=missed&status=rejected
+  // (sanitizers don't write back to req.query in Express 5: the controller normalizes it)
+  query('status')
+    .optional()
+    .custom(value => [].concat(value).every(status =>
+      ['initiated', 'ringing', 'answered', 'ended', 'missed', 'rejected', 'failed', 'busy', 'queued'].includes(status)
+    ))
+    .withMessage('Invalid call status'),
+
+  query('userId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  query('leaderboardLimit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Leaderboard limit must be between 1 and 50')
+];
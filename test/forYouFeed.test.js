@@ -0,0 +1,148 @@
+// test/forYouFeed.test.js
+// For You cursors keep the ranking they were issued with across a routine rescore
+require('./helpers/setup');
+
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Post = require('../src/models/Post');
+const User = require('../src/models/User');
+const Follow = require('../src/models/Follow');
+const FeedAffinity = require('../src/models/FeedAffinity');
+const RolePermission = require('../src/models/RolePermission');
+const feedService = require('../src/services/feedService');
+const { createMemoryDb } = require('./helpers/memoryDb');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const MINUTE = 60 * 1000;
+
+describe('For You feed cursor', () => {
+  let db;
+  let viewer;
+  let author;
+  let runs;
+
+  before(() => {
+    db = createMemoryDb([Post, User, Follow, FeedAffinity, RolePermission]);
+  });
+
+  after(() => db.restore());
+
+  beforeEach(() => {
+    db.clear();
+
+    [viewer, author] = db.insert(User, [
+      { _id: id(), userName: 'viewer', name: 'Viewer', email: 'viewer@test.io', role: 'USER' },
+      { _id: id(), userName: 'author', name: 'Author', email: 'author@test.io', role: 'USER' }
+    ]);
+
+    const now = Date.now();
+    runs = [new Date(now - 30 * MINUTE), new Date(now - 20 * MINUTE), new Date(now - 10 * MINUTE)];
+  });
+
+  // Six public posts scored 6..1 by `run`
+  const insertScoredPosts = run => db.insert(Post, [6, 5, 4, 3, 2, 1].map((score, i) => ({
+    _id: id(),
+    user: author._id,
+    content: { text: `Post ${score}` },
+    status: 'live',
+    createdAt: new Date(Date.now() - (i + 1) * 60 * MINUTE),
+    ranking: { score, computedAt: run }
+  })));
+
+  // What rankingService.scorePosts writes: new scores, the old ones kept as `previous`
+  const rescore = (run, scoreOf) => {
+    db.collections.posts.forEach((post) => {
+      post.ranking = {
+        score: scoreOf(post),
+        computedAt: run,
+        previous: { score: post.ranking.score, computedAt: post.ranking.computedAt }
+      };
+    });
+  };
+
+  const ids = posts => posts.map(post => String(post._id));
+
+  it('keeps paging in the original order after a rescore', async () => {
+    const posts = insertScoredPosts(runs[1]);
+
+    const first = await feedService.getForYouFeed(null, { limit: 3 });
+    assert.deepEqual(ids(first.posts), ids(posts.slice(0, 3)));
+
+    // The rescore reverses the order
+    rescore(runs[2], post => 10 - post.ranking.score);
+
+    const second = await feedService.getForYouFeed(null, { cursor: first.nextCursor, limit: 3 });
+    assert.deepEqual(ids(second.posts), ids(posts.slice(3)));
+    assert.equal(second.hasMore, false);
+
+    // A fresh feed uses the new scores
+    const fresh = await feedService.getForYouFeed(null, { limit: 3 });
+    assert.deepEqual(ids(fresh.posts), ids(posts.slice(3).reverse()));
+  });
+
+  it('leaves posts created after the cursor out of its pages', async () => {
+    const posts = insertScoredPosts(runs[1]);
+    const first = await feedService.getForYouFeed(null, { limit: 3 });
+
+    rescore(runs[2], post => post.ranking.score);
+    const [late] = db.insert(Post, [{
+      _id: id(),
+      user: author._id,
+      content: { text: 'Late post' },
+      status: 'live',
+      ranking: { score: 3.5, computedAt: runs[2] }
+    }]);
+
+    const second = await feedService.getForYouFeed(null, { cursor: first.nextCursor, limit: 10 });
+    assert.deepEqual(ids(second.posts), ids(posts.slice(3)));
+    assert.ok(!ids(second.posts).includes(String(late._id)));
+  });
+
+  it('keeps the viewer affinities the cursor was ranked with', async () => {
+    const [other] = db.insert(User, [
+      { _id: id(), userName: 'other', name: 'Other', email: 'other@test.io', role: 'USER' }
+    ]);
+    const posts = db.insert(Post, [4, 3, 2, 1].map((score, i) => ({
+      _id: id(),
+      user: i % 2 === 0 ? author._id : other._id,
+      content: { text: `Post ${score}` },
+      status: 'live',
+      createdAt: new Date(Date.now() - (i + 1) * 60 * MINUTE),
+      ranking: { score, computedAt: runs[2] }
+    })));
+    const [affinity] = db.insert(FeedAffinity, [
+      { user: viewer._id, author: author._id, score: 1, follows: true, computedAt: runs[1] }
+    ]);
+
+    // author's posts count double: 8, 4, 3 (other), 1 (other)
+    const first = await feedService.getForYouFeed(User.hydrate(viewer), { limit: 2 });
+    assert.deepEqual(ids(first.posts), ids([posts[0], posts[2]]));
+
+    // The next affinity run switches the boost to the other author
+    Object.assign(db.collections.feedaffinities[0], {
+      score: 0,
+      computedAt: runs[2],
+      previous: { score: affinity.score, computedAt: affinity.computedAt }
+    });
+    db.insert(FeedAffinity, [{ user: viewer._id, author: other._id, score: 5, computedAt: runs[2] }]);
+
+    const second = await feedService.getForYouFeed(User.hydrate(viewer), { cursor: first.nextCursor, limit: 2 });
+    assert.deepEqual(ids(second.posts), ids([posts[1], posts[3]]));
+  });
+
+  it('answers 409 once the cursor\'s scoring run is no longer kept', async () => {
+    insertScoredPosts(runs[0]);
+    const first = await feedService.getForYouFeed(null, { limit: 3 });
+
+    rescore(runs[1], post => post.ranking.score);
+    rescore(runs[2], post => post.ranking.score);
+
+    await assert.rejects(
+      feedService.getForYouFeed(null, { cursor: first.nextCursor, limit: 3 }),
+      { statusCode: 409 }
+    );
+  });
+});
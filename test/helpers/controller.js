@@ -0,0 +1,30 @@
+// test/helpers/controller.js
+
+/**
+ * Run an Express handler with a fake req/res
+ * @param {Function} handler - Controller function (req, res, next)
+ * @param {Object} req - { user, params, query, body }
+ * @returns {Object} { status, body } (errors passed to next() are rethrown)
+ */
+const callHandler = async (handler, { user = null, params = {}, query = {}, body = {} } = {}) => {
+  const result = { status: 200, body: undefined };
+
+  const res = {
+    status(code) {
+      result.status = code;
+      return this;
+    },
+    json(payload) {
+      result.body = payload;
+      return this;
+    }
+  };
+
+  let error;
+  await handler({ user, params, query, body, headers: {} }, res, (err) => { error = err; });
+  if (error) throw error;
+
+  return result;
+};
+
+module.exports = { callHandler };
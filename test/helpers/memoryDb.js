@@ -0,0 +1,130 @@
+// test/helpers/memoryDb.js
+// In-memory collections behind Mongoose model statics. Filters and aggregation pipelines run
+// through mingo, so the Mongo queries built by the services are what gets tested.
+const { mock } = require('node:test');
+const mongoose = require('mongoose');
+const mingo = require('mingo');
+
+/**
+ * Chainable stand-in for a Mongoose Query (populate/select/collation are no-ops)
+ */
+class MemoryQuery {
+  constructor(Model, docs, filter, { single = false } = {}) {
+    this.Model = Model;
+    this.docs = docs;
+    this.filter = filter;
+    this.single = single;
+    this.options = {};
+  }
+
+  populate() { return this; }
+  select() { return this; }
+  collation() { return this; }
+  sort(sort) { this.options.sort = sort; return this; }
+  skip(skip) { this.options.skip = skip; return this; }
+  limit(limit) { this.options.limit = limit; return this; }
+  lean() { this.options.lean = true; return this; }
+
+  async exec() {
+    let cursor = mingo.find(this.docs, this.filter);
+    if (this.options.sort) cursor = cursor.sort(this.options.sort);
+    if (this.options.skip) cursor = cursor.skip(this.options.skip);
+    if (this.options.limit) cursor = cursor.limit(this.options.limit);
+
+    const rows = cursor.all();
+    const results = this.options.lean ? rows : rows.map(row => this.Model.hydrate(row));
+    return this.single ? results[0] || null : results;
+  }
+
+  // Async-iterable like a Mongoose QueryCursor (batchSize is ignored)
+  cursor() {
+    const query = this;
+    return {
+      async *[Symbol.asyncIterator]() {
+        yield* await query.exec();
+      }
+    };
+  }
+
+  then(resolve, reject) {
+    return this.exec().then(resolve, reject);
+  }
+}
+
+/**
+ * Back the given models with in-memory collections
+ * @param {Array} models - Mongoose models
+ * @returns {Object} { collections, insert(Model, docs), clear(), restore() }
+ */
+const createMemoryDb = (models) => {
+  const collections = {};
+  const mocks = [];
+
+  const resolveCollection = name => collections[name] || [];
+
+  for (const Model of models) {
+    const name = Model.collection.collectionName;
+    collections[name] = [];
+    const docs = () => collections[name];
+    const cast = filter => new mongoose.Query().cast(Model, filter || {});
+
+    mocks.push(
+      mock.method(Model, 'find', filter => new MemoryQuery(Model, docs(), cast(filter))),
+      mock.method(Model, 'findOne', filter => new MemoryQuery(Model, docs(), cast(filter), { single: true })),
+      mock.method(Model, 'findById', id => new MemoryQuery(Model, docs(), cast({ _id: id }), { single: true })),
+      mock.method(Model, 'countDocuments', async filter => mingo.find(docs(), cast(filter)).all().length),
+      mock.method(Model, 'exists', async (filter) => {
+        const [match] = mingo.find(docs(), cast(filter)).limit(1).all();
+        return match ? { _id: match._id } : null;
+      }),
+      mock.method(Model, 'distinct', async (field, filter) => {
+        const values = mingo.find(docs(), cast(filter)).all().map(doc => doc[field]);
+        return [...new Map(values.map(value => [String(value), value])).values()];
+      }),
+      mock.method(Model, 'aggregate', (pipeline) => {
+        const run = async () => mingo.aggregate(docs(), pipeline, { collectionResolver: resolveCollection });
+        return {
+          allowDiskUse() { return this; },
+          then: (resolve, reject) => run().then(resolve, reject)
+        };
+      }),
+      mock.method(Model, 'create', async (doc) => {
+        const created = new Model(doc);
+        await created.save();
+        return created;
+      }),
+      // Writes replace the stored document (hooks don't run)
+      mock.method(Model.prototype, 'save', async function () {
+        const stored = this.toObject({ depopulate: true, virtuals: false });
+        const index = docs().findIndex(doc => String(doc._id) === String(stored._id));
+        if (index > -1) docs()[index] = stored;
+        else docs().push(stored);
+        return this;
+      })
+    );
+  }
+
+  return {
+    collections,
+
+    /**
+     * Store documents (run through the model so defaults and casting apply)
+     * @returns {Array} The stored plain objects
+     */
+    insert(Model, rows) {
+      const stored = rows.map(row => new Model(row).toObject({ virtuals: false }));
+      collections[Model.collection.collectionName].push(...stored);
+      return stored;
+    },
+
+    clear() {
+      Object.values(collections).forEach(docs => docs.splice(0));
+    },
+
+    restore() {
+      mocks.forEach(m => m.mock.restore());
+    }
+  };
+};
+
+module.exports = { createMemoryDb };
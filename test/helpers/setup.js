@@ -0,0 +1,23 @@
+// test/helpers/setup.js
+// Load before any src module: keeps tests off Firebase and MongoDB
+const path = require('path');
+const mongoose = require('mongoose');
+
+// The Firebase service account is not in the repo: push sends are no-ops in tests
+const firebasePath = path.resolve(__dirname, '../../src/config/firebase.js');
+require.cache[firebasePath] = {
+  id: firebasePath,
+  filename: firebasePath,
+  loaded: true,
+  exports: {
+    messaging: () => ({
+      send: async () => 'test-message-id',
+      sendEachForMulticast: async () => ({ successCount: 0, failureCount: 0, responses: [] })
+    })
+  }
+};
+
+// A query that slips past the in-memory collections fails fast instead of hanging
+mongoose.set('bufferCommands', false);
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
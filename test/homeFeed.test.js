@@ -0,0 +1,111 @@
+// test/homeFeed.test.js
+// Home feed paging: followed authors first, then everyone else, newest first within each
+require('./helpers/setup');
+
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Post = require('../src/models/Post');
+const User = require('../src/models/User');
+const Follow = require('../src/models/Follow');
+const RolePermission = require('../src/models/RolePermission');
+const feedService = require('../src/services/feedService');
+const { createMemoryDb } = require('./helpers/memoryDb');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const MINUTE = 60 * 1000;
+
+describe('Home feed', () => {
+  let db;
+  let viewer;
+  let followed;
+  let other;
+  let followedPosts;
+  let otherPosts;
+
+  before(() => {
+    db = createMemoryDb([Post, User, Follow, RolePermission]);
+  });
+
+  after(() => db.restore());
+
+  // Public live posts by `author`, `count` of them, the first one newest
+  const insertPosts = (author, count, offsetMinutes) => db.insert(Post, Array.from({ length: count }, (_, i) => ({
+    _id: id(),
+    user: author._id,
+    content: { text: `${author.userName} ${i}` },
+    status: 'live',
+    createdAt: new Date(Date.now() - (offsetMinutes + i) * MINUTE)
+  })));
+
+  beforeEach(() => {
+    db.clear();
+
+    [viewer, followed, other] = db.insert(User, [
+      { _id: id(), userName: 'viewer', name: 'Viewer', email: 'viewer@test.io', role: 'USER' },
+      { _id: id(), userName: 'followed', name: 'Followed', email: 'followed@test.io', role: 'USER' },
+      { _id: id(), userName: 'other', name: 'Other', email: 'other@test.io', role: 'USER' }
+    ]);
+    db.insert(Follow, [{ follower: viewer._id, following: followed._id, status: 'accepted', isActive: true }]);
+
+    // Other authors' posts are newer: followed authors still come first
+    otherPosts = insertPosts(other, 4, 1);
+    followedPosts = insertPosts(followed, 3, 60);
+  });
+
+  const ids = posts => posts.map(post => String(post._id));
+
+  // Every page until the end of the feed
+  const readAll = async (feedViewer, limit) => {
+    const pages = [];
+    let cursor;
+    do {
+      const page = await feedService.getHomeFeed(feedViewer, { cursor, limit });
+      pages.push(page);
+      cursor = page.nextCursor;
+    } while (cursor);
+    return pages;
+  };
+
+  it('lists followed authors first, then everyone else, across page boundaries', async () => {
+    for (const limit of [1, 2, 3, 4, 10]) {
+      const pages = await readAll(User.hydrate(viewer), limit);
+      const posts = pages.flatMap(page => page.posts);
+
+      assert.deepEqual(ids(posts), ids([...followedPosts, ...otherPosts]), `limit ${limit}`);
+      assert.deepEqual(posts.map(post => post.isFollowing), [true, true, true, false, false, false, false]);
+      assert.equal(pages[pages.length - 1].hasMore, false);
+    }
+  });
+
+  it('moves on to the next segment when the followed posts exactly fill a page', async () => {
+    const first = await feedService.getHomeFeed(User.hydrate(viewer), { limit: 3 });
+    assert.deepEqual(ids(first.posts), ids(followedPosts));
+    assert.equal(first.hasMore, true);
+
+    const second = await feedService.getHomeFeed(User.hydrate(viewer), { cursor: first.nextCursor, limit: 3 });
+    assert.deepEqual(ids(second.posts), ids(otherPosts.slice(0, 3)));
+  });
+
+  it('does not shift or repeat items when posts are created while scrolling', async () => {
+    const first = await feedService.getHomeFeed(User.hydrate(viewer), { limit: 4 });
+
+    insertPosts(followed, 1, 0);
+    insertPosts(other, 1, 0);
+
+    const second = await feedService.getHomeFeed(User.hydrate(viewer), { cursor: first.nextCursor, limit: 10 });
+    assert.deepEqual(ids(second.posts), ids(otherPosts.slice(1)));
+  });
+
+  it('gives anonymous viewers the chronological feed', async () => {
+    const posts = (await readAll(null, 2)).flatMap(page => page.posts);
+    assert.deepEqual(ids(posts), ids([...otherPosts, ...followedPosts]));
+  });
+
+  it('rejects a cursor without a segment', async () => {
+    const cursor = feedService.encodeCursor(Date.now(), id());
+    await assert.rejects(feedService.getHomeFeed(User.hydrate(viewer), { cursor }), { statusCode: 400 });
+  });
+});
@@ -0,0 +1,224 @@
+// test/postTags.test.js
+// Hashtag / cashtag / mention parsing, mention notifications and the tag backfill
+require('./helpers/setup');
+
+const { describe, it, before, beforeEach, afterEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Post = require('../src/models/Post');
+const User = require('../src/models/User');
+const Follow = require('../src/models/Follow');
+const RolePermission = require('../src/models/RolePermission');
+const postTagService = require('../src/services/postTagService');
+const notificationService = require('../src/services/notificationService');
+const { createMemoryDb } = require('./helpers/memoryDb');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('Post tag parsing', () => {
+  const parse = text => postTagService.parse(text);
+
+  it('returns empty lists for empty text', () => {
+    assert.deepEqual(parse(''), { hashtags: [], symbols: [], userNames: [] });
+    assert.deepEqual(parse(undefined), { hashtags: [], symbols: [], userNames: [] });
+  });
+
+  it('ignores email addresses and URLs', () => {
+    assert.deepEqual(parse('mail ann@example.com or see https://medium.com/@bob/post').userNames, []);
+    assert.deepEqual(parse('https://x.io/page#top and x.io/?tag=#news').hashtags, []);
+    assert.deepEqual(parse('https://x.io/quote/$TSLA?s=$AAPL').symbols, []);
+  });
+
+  it('ignores HTML entities and list numbers', () => {
+    assert.deepEqual(parse('it&#39;s #1, #2nd &amp; #Crypto').hashtags, ['2nd', 'crypto']);
+  });
+
+  it('ignores prices but keeps tickers', () => {
+    assert.deepEqual(parse('$100 and $1.5k for $AAPL, $btc2. ($ETH)').symbols, ['AAPL', 'BTC2', 'ETH']);
+  });
+
+  it('drops trailing dots from mentions', () => {
+    assert.deepEqual(parse('thanks @ann. and @bob... cc @carl_1, (@dee)').userNames, ['ann', 'bob', 'carl_1', 'dee']);
+  });
+
+  it('dedupes case-insensitively, keeping the first spelling and order', () => {
+    const parsed = parse('#Gold $aapl @Ann #gold $AAPL @ann @Bob @ANN');
+    assert.deepEqual(parsed, { hashtags: ['gold'], symbols: ['AAPL'], userNames: ['Ann', 'Bob'] });
+  });
+});
+
+describe('Post tag mentions and backfill', () => {
+  let db;
+  let author;
+  let ann;
+  let bob;
+  let inactive;
+
+  before(() => {
+    db = createMemoryDb([Post, User, Follow, RolePermission]);
+  });
+
+  after(() => db.restore());
+
+  beforeEach(() => {
+    db.clear();
+
+    [author, ann, bob, inactive] = db.insert(User, [
+      { _id: id(), userName: 'author', name: 'Author', email: 'author@test.io', role: 'USER' },
+      { _id: id(), userName: 'ann', name: 'Ann', email: 'ann@test.io', role: 'USER' },
+      { _id: id(), userName: 'bob', name: 'Bob', email: 'bob@test.io', role: 'USER' },
+      { _id: id(), userName: 'gone', name: 'Gone', email: 'gone@test.io', role: 'USER', isActive: false }
+    ]);
+    db.insert(Follow, [{ follower: ann._id, following: author._id, status: 'accepted', isActive: true }]);
+  });
+
+  describe('notifyMentions', () => {
+    let sent;
+    let updates;
+
+    beforeEach(() => {
+      sent = mock.method(notificationService, 'sendActivityNotification', async () => ({}));
+      updates = mock.method(Post, 'updateOne', async () => ({ modifiedCount: 1 }));
+    });
+
+    afterEach(() => {
+      sent.mock.restore();
+      updates.mock.restore();
+    });
+
+    const buildPost = (fields) => Post.hydrate(db.insert(Post, [{
+      _id: id(),
+      user: author._id,
+      content: { text: 'Hello @ann @bob @gone' },
+      status: 'live',
+      mentions: [ann, bob, inactive].map(u => ({ user: u._id, userName: u.userName })),
+      ...fields
+    }])[0]);
+
+    const recipients = () => sent.mock.calls.map(call => String(call.arguments[0].recipient));
+
+    it('notifies active mentioned users once and stamps them', async () => {
+      const post = buildPost();
+      post.mentions[1].notifiedAt = new Date();
+
+      const notified = await postTagService.notifyMentions(post, author);
+
+      assert.deepEqual(notified.map(String), [String(ann._id)]);
+      assert.deepEqual(recipients(), [String(ann._id)]);
+      assert.equal(updates.mock.callCount(), 1);
+      const [filter, update, options] = updates.mock.calls[0].arguments;
+      assert.equal(String(filter._id), String(post._id));
+      assert.ok(update.$set['mentions.$[m].notifiedAt'] instanceof Date);
+      assert.deepEqual(options.arrayFilters[0]['m.user'].$in.map(String), [String(ann._id)]);
+    });
+
+    it('skips mentioned users who cannot see the post', async () => {
+      const notified = await postTagService.notifyMentions(buildPost({ visibility: 'followers' }), author);
+
+      assert.deepEqual(notified.map(String), [String(ann._id)]);
+      assert.deepEqual(recipients(), [String(ann._id)]);
+    });
+
+    it('waits until the post is live', async () => {
+      assert.deepEqual(await postTagService.notifyMentions(buildPost({ status: 'inReview' }), author), []);
+      assert.equal(sent.mock.callCount(), 0);
+      assert.equal(updates.mock.callCount(), 0);
+    });
+
+    it('does not stamp users whose notification failed', async () => {
+      sent.mock.mockImplementation(async ({ recipient }) => {
+        if (String(recipient) === String(ann._id)) throw new Error('push failed');
+      });
+
+      const notified = await postTagService.notifyMentions(buildPost(), author);
+
+      assert.deepEqual(notified.map(String), [String(bob._id)]);
+      assert.deepEqual(updates.mock.calls[0].arguments[2].arrayFilters[0]['m.user'].$in.map(String), [String(bob._id)]);
+    });
+  });
+
+  describe('backfillPosts', () => {
+    let writes;
+
+    // Apply the $set of each updateOne to the stored posts
+    beforeEach(() => {
+      writes = mock.method(Post, 'bulkWrite', async (operations) => {
+        operations.forEach(({ updateOne: { filter, update } }) => {
+          const post = db.collections.posts.find(p => String(p._id) === String(filter._id));
+          Object.assign(post, update.$set);
+        });
+        return { modifiedCount: operations.length };
+      });
+    });
+
+    afterEach(() => writes.mock.restore());
+
+    const insertPost = fields => db.insert(Post, [{
+      _id: id(),
+      user: author._id,
+      status: 'live',
+      ...fields
+    }])[0];
+
+    const stored = post => db.collections.posts.find(p => String(p._id) === String(post._id));
+
+    it('parses old posts and stamps mentions on live posts as notified', async () => {
+      const live = insertPost({ content: { text: '#Gold $xau with @ann and @author' } });
+      const inReview = insertPost({ content: { text: 'cc @bob' }, status: 'inReview' });
+
+      const report = await postTagService.backfillPosts();
+
+      assert.deepEqual(report, { dryRun: false, scanned: 2, updated: 2 });
+      assert.deepEqual(stored(live).hashtags, ['gold']);
+      assert.deepEqual(stored(live).symbols, ['XAU']);
+      // The author's own mention is dropped
+      assert.deepEqual(stored(live).mentions.map(m => m.userName), ['ann']);
+      assert.ok(stored(live).mentions[0].notifiedAt instanceof Date);
+      // Not live yet: notified when it goes live
+      assert.deepEqual(stored(inReview).mentions.map(m => m.userName), ['bob']);
+      assert.equal(stored(inReview).mentions[0].notifiedAt, undefined);
+    });
+
+    it('keeps existing notifiedAt and skips posts that are already parsed', async () => {
+      const notifiedAt = new Date('2024-01-01');
+      const parsed = insertPost({
+        content: { text: '#gold @ann' },
+        hashtags: ['gold'],
+        mentions: [{ user: ann._id, userName: 'ann', notifiedAt }]
+      });
+      const grown = insertPost({
+        content: { text: '@ann @bob' },
+        mentions: [{ user: ann._id, userName: 'ann', notifiedAt }]
+      });
+
+      const report = await postTagService.backfillPosts();
+
+      assert.deepEqual(report, { dryRun: false, scanned: 2, updated: 1 });
+      assert.equal(writes.mock.calls[0].arguments[0].length, 1);
+      assert.deepEqual(stored(parsed).mentions[0].notifiedAt, notifiedAt);
+      assert.deepEqual(stored(grown).mentions.map(m => m.userName), ['ann', 'bob']);
+      assert.deepEqual(stored(grown).mentions[0].notifiedAt, notifiedAt);
+    });
+
+    it('lists the trade idea symbol with the parsed ones', async () => {
+      const post = insertPost({
+        content: { text: 'Watching $eurusd' },
+        tradeIdea: { symbol: 'GBPUSD', direction: 'long', entry: 1.25 }
+      });
+
+      await postTagService.backfillPosts();
+
+      assert.deepEqual(stored(post).symbols, ['EURUSD', 'GBPUSD']);
+    });
+
+    it('reports without writing on a dry run', async () => {
+      insertPost({ content: { text: '#gold' } });
+
+      const report = await postTagService.backfillPosts({ dryRun: true });
+
+      assert.deepEqual(report, { dryRun: true, scanned: 1, updated: 1 });
+      assert.equal(writes.mock.callCount(), 0);
+    });
+  });
+});
@@ -0,0 +1,221 @@
+// test/postVisibility.test.js
+// Post visibility policy (public / followers / private) across every endpoint that reads or acts on posts
+require('./helpers/setup');
+
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Post = require('../src/models/Post');
+const User = require('../src/models/User');
+const Follow = require('../src/models/Follow');
+const Comment = require('../src/models/Comment');
+const RolePermission = require('../src/models/RolePermission');
+const postController = require('../src/controllers/postController');
+const commentController = require('../src/controllers/commentController');
+const { createMemoryDb } = require('./helpers/memoryDb');
+const { callHandler } = require('./helpers/controller');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const VISIBILITIES = ['public', 'followers', 'private'];
+const VIEWERS = ['anonymous', 'author', 'follower', 'pendingFollower', 'inactiveFollower', 'stranger', 'moderator'];
+
+// Who may open a single post (moderators can open any post)
+const CAN_OPEN = {
+  public: { anonymous: true, author: true, follower: true, pendingFollower: true, inactiveFollower: true, stranger: true, moderator: true },
+  followers: { anonymous: false, author: true, follower: true, pendingFollower: false, inactiveFollower: false, stranger: false, moderator: true },
+  private: { anonymous: false, author: true, follower: false, pendingFollower: false, inactiveFollower: false, stranger: false, moderator: true }
+};
+
+// Who gets the post in feeds and lists (the policy applies to moderators too)
+const CAN_LIST = {
+  public: CAN_OPEN.public,
+  followers: { ...CAN_OPEN.followers, moderator: false },
+  private: { ...CAN_OPEN.private, moderator: false }
+};
+
+describe('Post visibility', () => {
+  let db;
+  let users;
+  let posts;
+  let comments;
+  let replies;
+
+  before(() => {
+    db = createMemoryDb([Post, User, Follow, Comment, RolePermission]);
+  });
+
+  after(() => db.restore());
+
+  beforeEach(() => {
+    db.clear();
+
+    const [author, follower, pendingFollower, inactiveFollower, stranger, moderator] = db.insert(User, [
+      { _id: id(), userName: 'author', name: 'Author', email: 'author@test.io', role: 'USER' },
+      { _id: id(), userName: 'follower', name: 'Follower', email: 'follower@test.io', role: 'USER' },
+      { _id: id(), userName: 'pending', name: 'Pending', email: 'pending@test.io', role: 'USER' },
+      { _id: id(), userName: 'unfollowed', name: 'Unfollowed', email: 'unfollowed@test.io', role: 'USER' },
+      { _id: id(), userName: 'stranger', name: 'Stranger', email: 'stranger@test.io', role: 'USER' },
+      { _id: id(), userName: 'moderator', name: 'Moderator', email: 'moderator@test.io', role: 'MODERATOR' }
+    ]);
+    users = { author, follower, pendingFollower, inactiveFollower, stranger, moderator };
+
+    db.insert(Follow, [
+      { follower: follower._id, following: author._id, status: 'accepted', isActive: true },
+      { follower: pendingFollower._id, following: author._id, status: 'pending', isActive: true },
+      { follower: inactiveFollower._id, following: author._id, status: 'accepted', isActive: false }
+    ]);
+
+    posts = {};
+    VISIBILITIES.forEach((visibility, i) => {
+      [posts[visibility]] = db.insert(Post, [{
+        _id: id(),
+        user: author._id,
+        content: { text: `${visibility} poll` },
+        postType: 'poll',
+        poll: {
+          question: 'Long or short?',
+          options: [{ text: 'Long' }, { text: 'Short' }],
+          endsAt: new Date(Date.now() + 24 * 60 * 60 * 1000)
+        },
+        visibility,
+        status: 'live',
+        createdAt: new Date(Date.now() - (i + 1) * 60 * 1000)
+      }]);
+    });
+
+    comments = {};
+    replies = {};
+    for (const visibility of VISIBILITIES) {
+      [comments[visibility]] = db.insert(Comment, [
+        { _id: id(), post: posts[visibility]._id, user: author._id, text: 'Comment' }
+      ]);
+      [replies[visibility]] = db.insert(Comment, [
+        { _id: id(), post: posts[visibility]._id, user: author._id, text: 'Reply', parentComment: comments[visibility]._id }
+      ]);
+    }
+  });
+
+  // req.user as `protect` / `optionalAuth` set it
+  const viewerUser = viewer => (viewer === 'anonymous' ? null : User.hydrate(users[viewer]));
+
+  const listedIds = items => items.map(post => String(post._id));
+
+  for (const visibility of VISIBILITIES) {
+    describe(`${visibility} post`, () => {
+      for (const viewer of VIEWERS) {
+        const canOpen = CAN_OPEN[visibility][viewer];
+        const canList = CAN_LIST[visibility][viewer];
+
+        describe(`viewed by ${viewer}`, () => {
+          it(`getPost ${canOpen ? 'returns it' : 'answers 404'}`, async () => {
+            const { status } = await callHandler(postController.getPost, {
+              user: viewerUser(viewer),
+              params: { id: String(posts[visibility]._id) }
+            });
+            assert.equal(status, canOpen ? 200 : 404);
+          });
+
+          it(`getPosts feed ${canList ? 'includes' : 'excludes'} it`, async () => {
+            const { status, body } = await callHandler(postController.getPosts, {
+              user: viewerUser(viewer),
+              query: { limit: '30' }
+            });
+            assert.equal(status, 200);
+            assert.equal(listedIds(body.data.posts).includes(String(posts[visibility]._id)), canList);
+          });
+
+          it(`getUserPosts ${canList ? 'includes' : 'excludes'} it`, async () => {
+            const { status, body } = await callHandler(postController.getUserPosts, {
+              user: viewerUser(viewer),
+              params: { userId: String(users.author._id) },
+              query: { limit: '50' }
+            });
+            assert.equal(status, 200);
+            assert.equal(listedIds(body.data.posts).includes(String(posts[visibility]._id)), canList);
+          });
+
+          it(`getPostComments ${canOpen ? 'returns them' : 'answers 404'}`, async () => {
+            const { status, body } = await callHandler(commentController.getPostComments, {
+              user: viewerUser(viewer),
+              params: { postId: String(posts[visibility]._id) }
+            });
+            assert.equal(status, canOpen ? 200 : 404);
+            if (canOpen) assert.deepEqual(listedIds(body.data.comments), [String(comments[visibility]._id)]);
+          });
+
+          it(`getCommentReplies ${canOpen ? 'returns them' : 'answers 404'}`, async () => {
+            const { status, body } = await callHandler(commentController.getCommentReplies, {
+              user: viewerUser(viewer),
+              params: { commentId: String(comments[visibility]._id) }
+            });
+            assert.equal(status, canOpen ? 200 : 404);
+            if (canOpen) assert.deepEqual(listedIds(body.data.replies), [String(replies[visibility]._id)]);
+          });
+
+          // Actions sit behind `protect`: anonymous requests never reach them
+          if (viewer === 'anonymous') return;
+
+          it(`likePost ${canOpen ? 'likes it' : 'answers 404'}`, async () => {
+            const { status, body } = await callHandler(postController.likePost, {
+              user: viewerUser(viewer),
+              params: { id: String(posts[visibility]._id) }
+            });
+            assert.equal(status, canOpen ? 200 : 404);
+            if (canOpen) assert.equal(body.data.liked, true);
+          });
+
+          it(`sharePost ${canOpen ? 'shares it' : 'answers 404'}`, async () => {
+            const { status, body } = await callHandler(postController.sharePost, {
+              user: viewerUser(viewer),
+              params: { id: String(posts[visibility]._id) }
+            });
+            assert.equal(status, canOpen ? 200 : 404);
+            if (canOpen) assert.equal(body.data.sharesCount, 1);
+          });
+
+          it(`voteOnPoll ${canOpen ? 'records the vote' : 'answers 404'}`, async () => {
+            const { status, body } = await callHandler(postController.voteOnPoll, {
+              user: viewerUser(viewer),
+              params: { id: String(posts[visibility]._id) },
+              body: { optionIndex: 0 }
+            });
+            assert.equal(status, canOpen ? 200 : 404);
+            if (canOpen) assert.equal(body.data.poll.options[0].votes.length, 1);
+          });
+
+          it(`createComment ${canOpen ? 'adds it' : 'answers 404'}`, async () => {
+            const { status } = await callHandler(commentController.createComment, {
+              user: viewerUser(viewer),
+              body: { postId: String(posts[visibility]._id), text: ' Nice call ' }
+            });
+            assert.equal(status, canOpen ? 201 : 404);
+            assert.equal(db.collections.comments.length, canOpen ? 7 : 6);
+          });
+
+          it(`createComment reply ${canOpen ? 'adds it' : 'answers 404'}`, async () => {
+            const { status, body } = await callHandler(commentController.createComment, {
+              user: viewerUser(viewer),
+              body: {
+                postId: String(posts[visibility]._id),
+                text: 'Agreed',
+                parentCommentId: String(comments[visibility]._id)
+              }
+            });
+            assert.equal(status, canOpen ? 201 : 404);
+            if (canOpen) assert.equal(String(body.data.comment.parentComment), String(comments[visibility]._id));
+          });
+
+          it(`likeComment ${canOpen ? 'likes it' : 'answers 404'}`, async () => {
+            const { status } = await callHandler(commentController.likeComment, {
+              user: viewerUser(viewer),
+              params: { id: String(comments[visibility]._id) }
+            });
+            assert.equal(status, canOpen ? 200 : 404);
+          });
+        });
+      }
+    });
+  }
+});